@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * check-selectors.js
+ *
+ * Self-test for the X selector profile. Runs every field's fallback chain
+ * against saved HTML snapshots of list timelines and reports which fields no
+ * longer resolve, and which only resolve through a fallback selector.
+ *
+ * Usage: npm run selectors:test -- [snapshot files or dirs] [--profile path]
+ * Defaults to every .html file under ./snapshots and config/selectors/x.json.
+ *
+ * Runs offline with jsdom; no browser, login or .env is needed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+const { loadSelectorProfile, XPATH_PREFIX } = require("./src/utils/selectors");
+
+const DEFAULT_PROFILE =
+  process.env.X_SELECTOR_PROFILE || path.join(__dirname, "config", "selectors", "x.json");
+const DEFAULT_SNAPSHOT_DIR = "snapshots";
+
+function parseArgs(argv) {
+  const args = { profile: DEFAULT_PROFILE, inputs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--profile") {
+      args.profile = argv[++i];
+    } else {
+      args.inputs.push(argv[i]);
+    }
+  }
+  if (args.inputs.length === 0) args.inputs.push(DEFAULT_SNAPSHOT_DIR);
+  return args;
+}
+
+function collectSnapshots(inputs) {
+  const files = [];
+  const visit = (target) => {
+    if (!fs.existsSync(target)) return;
+    if (fs.statSync(target).isDirectory()) {
+      for (const entry of fs.readdirSync(target).sort()) {
+        visit(path.join(target, entry));
+      }
+    } else if (target.endsWith(".html")) {
+      files.push(target);
+    }
+  };
+  inputs.forEach(visit);
+  return files;
+}
+
+function querySelector(document, scope, selector) {
+  if (selector.startsWith(XPATH_PREFIX)) {
+    const window = document.defaultView;
+    const result = document.evaluate(
+      selector.slice(XPATH_PREFIX.length),
+      scope,
+      null,
+      window.XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
+      null
+    );
+    const nodes = [];
+    for (let i = 0; i < result.snapshotLength; i++) nodes.push(result.snapshotItem(i));
+    return nodes;
+  }
+  return Array.from(scope.querySelectorAll(selector));
+}
+
+/**
+ * Resolves one field against a snapshot. Document-scoped fields are
+ * resolved once; tweet-scoped fields are resolved inside every tweet and
+ * the first selector matching at least one tweet wins.
+ */
+function resolveField(document, tweets, spec) {
+  const scopes = spec.scope === "document" ? [document] : tweets;
+  for (let index = 0; index < spec.selectors.length; index++) {
+    let matchedScopes = 0;
+    try {
+      for (const scope of scopes) {
+        if (querySelector(document, scope, spec.selectors[index]).length > 0) matchedScopes++;
+      }
+    } catch (error) {
+      return { index: -1, error: `invalid selector "${spec.selectors[index]}": ${error.message}` };
+    }
+    if (matchedScopes > 0) {
+      return { index, matchedScopes, totalScopes: scopes.length };
+    }
+  }
+  return { index: -1, matchedScopes: 0, totalScopes: scopes.length };
+}
+
+function checkSnapshot(file, profile) {
+  const { document } = new JSDOM(fs.readFileSync(file, "utf-8")).window;
+
+  let tweets = [];
+  for (const selector of profile.fields.tweet?.selectors || []) {
+    tweets = querySelector(document, document, selector);
+    if (tweets.length > 0) break;
+  }
+
+  const results = {};
+  for (const [field, spec] of Object.entries(profile.fields)) {
+    results[field] = resolveField(document, tweets, spec);
+  }
+  return { tweets: tweets.length, results };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const profile = loadSelectorProfile(args.profile);
+  const snapshots = collectSnapshots(args.inputs);
+
+  console.log(`Selector profile: ${profile.path} (version ${profile.version}, updated ${profile.updated})`);
+
+  if (snapshots.length === 0) {
+    console.error(`No .html snapshots found in: ${args.inputs.join(", ")}`);
+    process.exit(2);
+  }
+
+  const broken = new Set();
+  const degraded = new Set();
+
+  for (const file of snapshots) {
+    const { tweets, results } = checkSnapshot(file, profile);
+    console.log(`\n${file} (${tweets} tweets)`);
+
+    for (const [field, result] of Object.entries(results)) {
+      const spec = profile.fields[field];
+      if (result.error) {
+        broken.add(field);
+        console.log(`  ✘ ${field}: ${result.error}`);
+      } else if (result.index === -1) {
+        if (!spec.optional) broken.add(field);
+        console.log(`  ${spec.optional ? "-" : "✘"} ${field}: no selector resolved${spec.optional ? " (optional)" : ""}`);
+      } else {
+        if (result.index > 0) degraded.add(field);
+        const fallback = result.index > 0 ? ` via fallback #${result.index + 1}` : "";
+        console.log(`  ✔ ${field}: ${result.matchedScopes}/${result.totalScopes}${fallback}`);
+      }
+    }
+  }
+
+  console.log("");
+  if (degraded.size > 0) {
+    console.log(`Primary selector no longer resolves for: ${[...degraded].join(", ")}`);
+  }
+  if (broken.size > 0) {
+    console.log(`Fields that no longer resolve: ${[...broken].join(", ")}`);
+    process.exit(1);
+  }
+  console.log(`All required fields resolved in ${snapshots.length} snapshot(s).`);
+}
+
+main();
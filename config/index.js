@@ -1,13 +1,40 @@
 require("dotenv").config();
+const path = require("path");
 
 const config = {
   github: {
     personalAccessToken: process.env.GITHUB_PAT,
     owner: process.env.GITHUB_USERNAME,
     repo: process.env.GITHUB_REPONAME,
+    // Stars, language, license and activity of repositories linked in resources
+    repoMetadata: {
+      enabled: process.env.GITHUB_REPO_METADATA !== "false",
+      maxReposPerRun: parseInt(process.env.GITHUB_REPO_METADATA_MAX_PER_RUN) || 30,
+      staleAfterDays: parseInt(process.env.GITHUB_REPO_STALE_DAYS) || 365,
+    },
+    // Copies of embedded images committed with each resource file
+    mirrorImages: {
+      enabled: process.env.GITHUB_MIRROR_IMAGES === "true",
+      assetsDir: process.env.GITHUB_ASSETS_DIR || "assets",
+      maxImages: parseInt(process.env.GITHUB_MIRROR_MAX_IMAGES) || 40,
+      // Only images served from these hosts are downloaded
+      hosts: process.env.GITHUB_MIRROR_HOSTS
+        ? process.env.GITHUB_MIRROR_HOSTS.split(",").map((host) => host.trim().toLowerCase())
+        : ["pbs.twimg.com", "video.twimg.com"],
+      maxBytes: 10 * 1024 * 1024,
+      timeout: 20000,
+    },
   },
   gemini: {
     apiKey: process.env.GEMINI_API_KEY,
+    // Tweet images sent to Gemini for description and OCR before filtering
+    imageUnderstanding: {
+      enabled: process.env.GEMINI_IMAGE_UNDERSTANDING !== "false",
+      maxImagesPerRun: parseInt(process.env.GEMINI_MAX_IMAGES_PER_RUN) || 20,
+      maxBytes: 4 * 1024 * 1024,
+      timeout: 20000,
+      maxTextLength: 2000,
+    },
   },
   discord: {
     webhookUrl: process.env.DISCORD_WEBHOOK_URL,
@@ -21,10 +48,219 @@ const config = {
       ? process.env.MONITOR_KEYWORDS.split(",").map((k) => k.trim())
       : [],
   },
+  sources: {
+    rss: {
+      maxItemsPerFeed: parseInt(process.env.RSS_MAX_ITEMS_PER_FEED) || 10,
+      maxAgeDays: parseInt(process.env.RSS_MAX_AGE_DAYS) || 7,
+      timeout: parseInt(process.env.RSS_TIMEOUT) || 15000,
+    },
+    hackernews: {
+      baseUrl: process.env.HN_API_BASE_URL || "https://hacker-news.firebaseio.com/v0",
+      maxStoriesScanned: parseInt(process.env.HN_MAX_STORIES_SCANNED) || 100,
+      maxItems: parseInt(process.env.HN_MAX_ITEMS) || 10,
+      commentsPerStory: 3,
+      commentDepth: 2,
+      timeout: 15000,
+    },
+    reddit: {
+      baseUrl: process.env.REDDIT_BASE_URL || "https://www.reddit.com",
+      userAgent: process.env.REDDIT_USER_AGENT || "twitter-to-github-mvp/1.0 (by /u/Drix10)",
+      maxPostsPerSubreddit: parseInt(process.env.REDDIT_MAX_POSTS) || 10,
+      commentsPerPost: 3,
+      commentDepth: 2,
+      timeout: 15000,
+    },
+    bluesky: {
+      baseUrl: process.env.BLUESKY_BASE_URL || "https://public.api.bsky.app/xrpc",
+      maxItems: parseInt(process.env.BLUESKY_MAX_ITEMS) || 10,
+      pageSize: 30,
+      threadDepth: 10,
+      timeout: 15000,
+    },
+    mastodon: {
+      baseUrl: process.env.MASTODON_BASE_URL || "https://mastodon.social",
+      accessToken: process.env.MASTODON_ACCESS_TOKEN,
+      maxItems: parseInt(process.env.MASTODON_MAX_ITEMS) || 10,
+      pageSize: 30,
+      timeout: 15000,
+    },
+  },
+  // Resolves links before markdown generation and attaches page metadata
+  linkEnrichment: {
+    enabled: process.env.LINK_ENRICHMENT !== "false",
+    cacheMaxAgeDays: parseInt(process.env.LINK_CACHE_MAX_AGE_DAYS) || 14,
+    timeout: parseInt(process.env.LINK_ENRICHMENT_TIMEOUT) || 10000,
+    maxRedirects: 10,
+    maxBytes: 2 * 1024 * 1024,
+    concurrency: 4,
+    userAgent: process.env.LINK_ENRICHMENT_USER_AGENT || "Mozilla/5.0 (compatible; TwitterGeminiGitHubMVP/1.0)",
+    // Query parameters removed from every link, on top of any utm_* parameter
+    trackingParams: [
+      "fbclid", "gclid", "dclid", "msclkid", "yclid", "mc_cid", "mc_eid",
+      "igshid", "si", "ref_src", "ref_url", "_hsenc", "_hsmi", "mkt_tok",
+      "s_cid", "cmpid", "ncid", "twclid",
+    ],
+  },
+  // Metadata for arXiv and DOI links; base URLs can point at a local fixture server
+  papers: {
+    enabled: process.env.PAPER_ENRICHMENT !== "false",
+    arxivBaseUrl: process.env.ARXIV_API_BASE_URL || "https://export.arxiv.org/api",
+    crossrefBaseUrl: process.env.CROSSREF_API_BASE_URL || "https://api.crossref.org",
+    // Crossref routes requests that include a contact address to its polite pool
+    mailto: process.env.CROSSREF_MAILTO || "",
+    userAgent: "TwitterGeminiGitHubMVP/1.0 (+https://github.com/Drix10/Twitter-Gemini-GitHub-MVP)",
+    timeout: parseInt(process.env.PAPER_ENRICHMENT_TIMEOUT) || 15000,
+    maxPerRun: parseInt(process.env.PAPER_ENRICHMENT_MAX_PER_RUN) || 30,
+    cacheMaxAgeDays: 30,
+  },
+  // Declarative filters for collected content. Tweet rules match on `text`
+  // (regex, also over the quoted tweet), `authors`, link `domains`,
+  // `languages`, `hasMedia` and `minWords`/`maxWords`; link rules on `url`
+  // and `path` (regexes) and `domains`. Every condition a rule sets has to
+  // hold. Tweets matching an exclude rule are dropped; when include rules
+  // exist, a thread has to match one of them. Folders add their own under
+  // `contentRules`, replacing global rules of the same name (set
+  // `enabled: false` to turn one off), e.g.
+  //   contentRules: { tweets: [{ name: "papers-only", action: "include", domains: ["arxiv.org"] }] }
+  contentRules: {
+    tweets: [
+      {
+        name: "hiring-and-self-promotion",
+        action: "exclude",
+        text: ["we are hiring", "hiring for", "dm me to", "join my team", "dm for", "check out my course", "buy my book"],
+      },
+    ],
+    // Links that stay on X are navigation, not resources (t.co short links leave X)
+    links: [
+      { name: "relative-links", action: "exclude", url: "^/" },
+      {
+        name: "x-navigation",
+        action: "exclude",
+        domains: ["x.com", "twitter.com"],
+        path: "/(status|hashtag|search|i/lists|home|explore|notifications|messages|settings|tos|privacy|rules)",
+      },
+    ],
+  },
+  // Threads are tagged with their language (the source's tag, or detected
+  // from the text) and handled by policy: "keep" passes them on as they are,
+  // "drop" skips them and "translate" has Gemini translate them into
+  // `target`, the language articles are generated in. `policy` maps language
+  // codes and "default" to an action; folders override it with
+  // `languagePolicy`, e.g. { default: "translate", ru: "drop" }.
+  languages: {
+    target: "en",
+    policy: {
+      default: ["drop", "translate"].includes(process.env.LANGUAGE_POLICY) ? process.env.LANGUAGE_POLICY : "keep",
+    },
+    // Threads Gemini translates per pipeline run; the rest are kept untranslated
+    maxTranslationsPerRun: parseInt(process.env.MAX_TRANSLATIONS_PER_RUN) || 20,
+  },
+  // X post announcing each uploaded file. Gemini writes `variants` summaries
+  // naming the file's most concrete tools and findings; the first that fits
+  // `maxLength` as X counts it (URLs 23, emoji and CJK 2) is posted,
+  // dropping hashtags before trimming the shortest summary. Templates and
+  // hashtag rules are per X account (X_HANDLE), falling back to "default";
+  // templates may use {summary}, {topic}, {url} and {hashtags}, and
+  // `fallbackSummary` is used when Gemini writes nothing usable.
+  announcements: {
+    enabled: process.env.X_ANNOUNCEMENTS !== "false",
+    // Attaches a slide listing the file's first article titles, rendered in
+    // the browser like the LinkedIn slides
+    image: process.env.X_ANNOUNCEMENT_IMAGE === "true",
+    maxLength: 280,
+    variants: 3,
+    accounts: {
+      default: {
+        template: "New {topic} resource 📚\n\n{summary}\n\nMade by @Drix10 via @CosLynxAI\n{url}\n\n{hashtags}",
+        fallbackSummary: "Fresh tools, papers and threads from the {topic} lists.",
+        // Templates for reply posts that continue the announcement as a
+        // thread, filled like `template`, e.g. ["Every link is in the file: {url}"]
+        replies: [],
+        hashtags: {
+          // Up to `max` tags: `always` first, then Gemini's suggestions minus `blocked`
+          max: 2,
+          always: [],
+          blocked: ["#AI", "#Tech", "#Innovation", "#Trending"],
+          suggest: true,
+        },
+      },
+    },
+  },
+  storage: {
+    seenTweetsPath: process.env.SEEN_TWEETS_PATH || "seen-tweets.json",
+    seenTweetsMaxAgeDays: parseInt(process.env.SEEN_TWEETS_MAX_AGE_DAYS) || 30,
+    listStatePath: process.env.LIST_STATE_PATH || "list-state.json",
+    linkCachePath: process.env.LINK_CACHE_PATH || "link-cache.json",
+    paperCachePath: process.env.PAPER_CACHE_PATH || "paper-cache.json",
+    announcementsPath: process.env.ANNOUNCEMENTS_PATH || "announcements.json",
+  },
+  twitter: {
+    // Account announcements are posted from; read from the navigation bar when unset
+    handle: process.env.X_HANDLE || "",
+    selectorProfile:
+      process.env.X_SELECTOR_PROFILE || path.join(__dirname, "selectors", "x.json"),
+    // "all" visits every list in a folder each run; "rotate" visits
+    // listsPerRun lists per run and moves on once the folder's run succeeds.
+    listMode: process.env.TWITTER_LIST_MODE === "rotate" ? "rotate" : "all",
+    listsPerRun: parseInt(process.env.TWITTER_LISTS_PER_RUN) || 2,
+    threadsPerList: parseInt(process.env.TWITTER_THREADS_PER_LIST) || 10,
+    maxThreadsPerFolder: parseInt(process.env.TWITTER_MAX_THREADS_PER_FOLDER) || 20,
+    // Lists referenced by several folders are scraped once per run. "balanced"
+    // spreads their threads across those folders; "priority" gives them all to
+    // the folder with the highest `priority`.
+    sharedListRouting:
+      process.env.TWITTER_SHARED_LIST_ROUTING === "priority" ? "priority" : "balanced",
+    // Threads are ranked by engagement and recency before the per-list and
+    // per-folder caps apply. Engagement is a weighted sum of log-scaled counts
+    // on the first tweet; the score halves every recencyHalfLifeHours.
+    // findContent gathers threadsPerList * candidateMultiplier candidates
+    // and keeps the best threadsPerList.
+    ranking: {
+      weights: { replies: 2, reposts: 3, likes: 1, bookmarks: 3, views: 0.2 },
+      recencyHalfLifeHours: parseInt(process.env.TWITTER_RANKING_HALF_LIFE_HOURS) || 24,
+      candidateMultiplier: parseInt(process.env.TWITTER_RANKING_CANDIDATE_MULTIPLIER) || 2,
+    },
+    // Scrolling a list with a high-water mark also stops once confirmScrolls
+    // scrolls in a row hold only tweets at or below the mark.
+    highWaterMark: {
+      confirmScrolls: 3,
+    },
+    // Opens each kept thread's status page to collect the author's complete
+    // self-reply chain, including tweets the list timeline collapses. Every
+    // page load waits on checkRateLimit, so keep maxPerRun small. Folders
+    // may override `enabled` with `expandThreads`.
+    threadExpansion: {
+      enabled: process.env.TWITTER_EXPAND_THREADS === "true",
+      maxPerRun: parseInt(process.env.TWITTER_EXPAND_THREADS_PER_RUN) || 10,
+      maxTweets: parseInt(process.env.TWITTER_EXPAND_MAX_TWEETS) || 25,
+    },
+    // "live" scrapes x.com. "record" also saves each scraped list page and
+    // its extracted results under snapshotDir. "replay" scrapes the latest
+    // saved page per list from a local server in headless Chrome instead.
+    scrapeMode: ["record", "replay"].includes(process.env.X_SCRAPE_MODE)
+      ? process.env.X_SCRAPE_MODE
+      : "live",
+    snapshotDir: process.env.X_SNAPSHOT_DIR || "snapshots",
+    replayPort: parseInt(process.env.X_REPLAY_PORT) || 0,
+  },
+  // Each folder may list the content sources that feed it in `sources`
+  // (see src/sources). Folders without one are fed by their X lists only.
+  // Source settings live alongside `lists`, e.g.
+  //   { name: "AI Education", sources: ["x", "rss"], lists: [...], feeds: ["https://.../feed.xml"] }
   folders: [
     {
       name: "CS Academics",
+      sources: ["x", "hackernews", "reddit"],
       lists: ["89224383"],
+      hackernews: {
+        lists: ["top", "best"],
+        keywords: ["paper", "research", "algorithm", "compiler", "theorem", "arxiv"],
+        minScore: 100,
+      },
+      reddit: {
+        subreddits: ["compsci", "MachineLearning"],
+        minScore: 50,
+      },
     },
     {
       name: "Devs, Designers, DevRel",
@@ -150,7 +386,17 @@ const config = {
     },
     {
       name: "Tech Infrastructure",
+      sources: ["x", "hackernews", "reddit"],
       lists: ["1049745135431376896"],
+      hackernews: {
+        lists: ["top", "best"],
+        keywords: ["kubernetes", "postgres", "database", "outage", "cloud", "linux", "infrastructure"],
+        minScore: 100,
+      },
+      reddit: {
+        subreddits: ["devops", "kubernetes", "sysadmin"],
+        minScore: 50,
+      },
     },
     {
       name: "Interesting Finds",
@@ -191,6 +437,7 @@ const config = {
     {
       name: "World News and Updates",
       lists: ["1297881495701397504", "1325322395335315457"],
+      languagePolicy: { default: "translate" },
     },
   ],
 };
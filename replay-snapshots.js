@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * replay-snapshots.js
+ *
+ * Replays recorded X list pages (X_SCRAPE_MODE=record) through
+ * TwitterService.findContent and compares the threads it extracts with the
+ * ones recorded alongside each page. Use it to reproduce extraction
+ * regressions and to check thread-stitching changes deterministically.
+ *
+ * Usage: npm run snapshots:replay -- [list IDs or snapshot dirs]
+ * Defaults to every snapshot under X_SNAPSHOT_DIR (./snapshots).
+ *
+ * Runs a headless Chrome against a local static server; no debugging
+ * browser or X login is needed. The usual .env must still be present.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+const TwitterService = require("./src/services/twitter");
+const {
+  RESULTS_FILE,
+  listSnapshots,
+  loadSnapshotResults,
+  stopReplayServer,
+} = require("./src/services/snapshots");
+
+const TWEET_FIELDS = ["url", "text", "links", "images", "videos", "videoDetails", "timestamp"];
+
+function collectSnapshotDirs(inputs) {
+  const root = path.resolve(config.twitter.snapshotDir);
+  if (inputs.length === 0) {
+    if (!fs.existsSync(root)) return [];
+    return fs.readdirSync(root).sort().flatMap((listId) => listSnapshots(listId));
+  }
+  return inputs.flatMap((input) =>
+    fs.existsSync(path.join(input, RESULTS_FILE)) ? [path.resolve(input)] : listSnapshots(input)
+  );
+}
+
+/**
+ * Lists the differences between recorded and replayed threads, matching
+ * threads by URL and tweets by position within the thread.
+ */
+function compareResults(recorded, replayed) {
+  const diffs = [];
+  const replayedByUrl = new Map(replayed.map((thread) => [thread.url, thread]));
+  const recordedUrls = new Set(recorded.map((thread) => thread.url));
+
+  for (const thread of recorded) {
+    const match = replayedByUrl.get(thread.url);
+    if (!match) {
+      diffs.push(`missing thread ${thread.url}`);
+      continue;
+    }
+    if (match.tweets.length !== thread.tweets.length) {
+      diffs.push(`thread ${thread.url}: ${thread.tweets.length} tweets recorded, ${match.tweets.length} replayed`);
+    }
+    const shared = Math.min(match.tweets.length, thread.tweets.length);
+    for (let i = 0; i < shared; i++) {
+      for (const field of TWEET_FIELDS) {
+        if (JSON.stringify(thread.tweets[i][field]) !== JSON.stringify(match.tweets[i][field])) {
+          diffs.push(`thread ${thread.url}: tweet ${i + 1} ${field} differs`);
+        }
+      }
+    }
+  }
+  for (const thread of replayed) {
+    if (!recordedUrls.has(thread.url)) diffs.push(`extra thread ${thread.url}`);
+  }
+  return diffs;
+}
+
+async function main() {
+  const dirs = collectSnapshotDirs(process.argv.slice(2));
+  if (dirs.length === 0) {
+    console.error(`No recorded snapshots found under ${config.twitter.snapshotDir}`);
+    process.exit(2);
+  }
+
+  const service = new TwitterService({ scrapeMode: "replay" });
+  let failed = 0;
+  let replayedCount = 0;
+
+  try {
+    for (const dir of dirs) {
+      const recorded = loadSnapshotResults(dir);
+      if (!recorded || recorded.source !== "fetchTweets") {
+        console.log(`\n${dir}: skipped (not a fetchTweets recording)`);
+        continue;
+      }
+
+      // Start from the same claimed/published tweets the recording skipped
+      service.processedTweetIds = new Map((recorded.skippedIds || []).map((id) => [id, Date.now()]));
+
+      const replayed =
+        (await service.fetchListTweets(recorded.listId, {
+          snapshotDir: dir,
+          maxThreads: recorded.maxThreads || config.twitter.threadsPerList,
+          maxRetries: 1,
+        })) || [];
+      replayedCount++;
+
+      const recordedThreads = recorded.results || [];
+      const diffs = compareResults(recordedThreads, replayed);
+      console.log(`\n${dir} (${recordedThreads.length} recorded, ${replayed.length} replayed)`);
+      if (diffs.length === 0) {
+        console.log("  ✔ matches recording");
+      } else {
+        failed++;
+        diffs.forEach((diff) => console.log(`  ✘ ${diff}`));
+      }
+    }
+  } finally {
+    await service.cleanup();
+    await stopReplayServer();
+  }
+
+  console.log("");
+  if (failed > 0) {
+    console.log(`${failed} of ${replayedCount} snapshot(s) no longer match their recording.`);
+    process.exit(1);
+  }
+  console.log(`All ${replayedCount} replayed snapshot(s) match their recording.`);
+}
+
+main().catch((error) => {
+  console.error("Replay failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,164 @@
+const config = require("../../config");
+const geminiService = require("./gemini");
+const { getWeightedLength, trimToWeightedLength } = require("../utils/tweet-length");
+const { logger } = require("../utils/helpers");
+
+/**
+ * Template and hashtag rules for an X account: its entry in
+ * config.announcements.accounts over the "default" one.
+ */
+const getAccountSettings = (handle = config.twitter.handle) => {
+  const accounts = config.announcements.accounts;
+  const defaults = accounts.default || {};
+  const account = accounts[String(handle || "").replace(/^@/, "")] || {};
+  return {
+    replies: [],
+    ...defaults,
+    ...account,
+    hashtags: { max: 0, always: [], blocked: [], suggest: false, ...defaults.hashtags, ...account.hashtags },
+  };
+};
+
+// Fills {placeholders} and drops the blank lines left by empty ones
+const renderTemplate = (template, values) =>
+  template
+    .replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? values[key] : placeholder))
+    .replace(/[ \t]+$/gm, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+const toHashtag = (tag) => {
+  const word = String(tag || "").replace(/^#+/, "").replace(/[^\p{L}\p{N}_]/gu, "");
+  return word && !/^\d+$/.test(word) ? `#${word}` : null;
+};
+
+/**
+ * Applies an account's hashtag rules: its `always` tags first, then the
+ * suggested ones that are not `blocked`, without duplicates, up to `max`.
+ */
+const selectHashtags = (suggested, rules) => {
+  const blocked = new Set(rules.blocked.map((tag) => toHashtag(tag)?.toLowerCase()));
+  const tags = [];
+  for (const tag of [...rules.always, ...(rules.suggest ? suggested : [])].map(toHashtag)) {
+    if (!tag || blocked.has(tag.toLowerCase()) || tags.some((kept) => kept.toLowerCase() === tag.toLowerCase())) continue;
+    tags.push(tag);
+  }
+  return tags.slice(0, rules.max);
+};
+
+/**
+ * Picks the announcement text: the first summary that fits, with as many
+ * hashtags as still fit, and failing that the shortest summary trimmed to
+ * fit without hashtags.
+ * @param {Object} options
+ * @param {string} options.template - Account template.
+ * @param {string[]} options.summaries - Candidate summaries, preferred first.
+ * @param {string[]} options.hashtags - Hashtags, most important first.
+ * @param {Object} options.values - Other template values ({ topic, url }).
+ * @param {number} options.maxLength - Limit in X-weighted characters.
+ * @returns {{text: string, length: number, variant: number, hashtags: number, trimmed: boolean}}
+ */
+const fitAnnouncement = ({ template, summaries, hashtags, values, maxLength }) => {
+  const render = (summary, tagCount) =>
+    renderTemplate(template, { ...values, summary, hashtags: hashtags.slice(0, tagCount).join(" ") });
+
+  for (const [variant, summary] of summaries.entries()) {
+    for (let tagCount = hashtags.length; tagCount >= 0; tagCount--) {
+      const text = render(summary, tagCount);
+      const length = getWeightedLength(text);
+      if (length <= maxLength) return { text, length, variant, hashtags: tagCount, trimmed: false };
+    }
+  }
+
+  const shortest = summaries.reduce((best, summary) =>
+    getWeightedLength(summary) < getWeightedLength(best) ? summary : best
+  );
+  // Template values other than the summary are never trimmed. An empty
+  // summary also drops its blank line, so shrink until the result fits
+  let room = maxLength - getWeightedLength(render("", 0));
+  let text = render(trimToWeightedLength(shortest, Math.max(0, room)), 0);
+  while (getWeightedLength(text) > maxLength && room > 0) {
+    room--;
+    text = render(trimToWeightedLength(shortest, room), 0);
+  }
+  return {
+    text,
+    length: getWeightedLength(text),
+    variant: summaries.indexOf(shortest),
+    hashtags: 0,
+    trimmed: true,
+  };
+};
+
+/**
+ * Titles of the articles in a generated file, from their "### [emoji] Topic -
+ * Subtopic" headers without the emoji, each cut to `maxLength` characters.
+ * The closing "Support" section is left out.
+ */
+const getArticleTitles = (markdown, maxLength = 65) =>
+  (String(markdown || "").match(/^### .+$/gm) || [])
+    .map((header) => header.slice(4).replace(/^[^\p{L}\p{N}]+/u, "").trim())
+    .filter((title) => title && title.toLowerCase() !== "support")
+    .map((title) => (title.length > maxLength ? `${title.slice(0, maxLength - 1).trimEnd()}…` : title));
+
+/**
+ * Composes the X announcement for an uploaded resource file from its
+ * generated markdown, using the posting account's template and hashtag rules.
+ * The account's `replies` templates add further posts to the thread.
+ * @param {Object} options
+ * @param {string} options.topic - Folder name shown in the announcement.
+ * @param {string} options.markdown - The generated file.
+ * @param {string} options.url - URL of the uploaded file.
+ * @param {string} [options.handle] - Posting account; defaults to X_HANDLE.
+ * @returns {Promise<string[]>} Text of each post in the thread, all within
+ *   X's length limit.
+ */
+const composeAnnouncement = async ({ topic, markdown, url, handle = config.twitter.handle }) => {
+  const { maxLength, variants } = config.announcements;
+  const settings = getAccountSettings(handle);
+  const values = { topic, url };
+  const fallback = renderTemplate(settings.fallbackSummary, values);
+
+  // Room for the summary next to the fixed parts and the `always` hashtags
+  const fixedLength = getWeightedLength(
+    renderTemplate(settings.template, { ...values, summary: "", hashtags: selectHashtags([], settings.hashtags).join(" ") })
+  );
+  let generated = { summaries: [], hashtags: [] };
+  try {
+    generated = await geminiService.generateAnnouncementSummaries(markdown, {
+      topic,
+      count: variants,
+      maxLength: Math.max(40, maxLength - fixedLength - 2),
+      hashtagCount: settings.hashtags.suggest ? settings.hashtags.max : 0,
+    });
+  } catch (error) {
+    logger.warn(`Announcement for ${topic}: Gemini wrote no summary, using the fallback (${error.message})`);
+  }
+
+  const result = fitAnnouncement({
+    template: settings.template,
+    summaries: generated.summaries.length > 0 ? generated.summaries : [fallback],
+    hashtags: selectHashtags(generated.hashtags, settings.hashtags),
+    values,
+    maxLength,
+  });
+  const source = generated.summaries.length > 0 ? `summary ${result.variant + 1}` : "fallback summary";
+  logger.info(
+    `Announcement for ${topic}: ${result.length}/${maxLength} characters, ${source}` +
+      `${result.trimmed ? " trimmed" : ""}, ${result.hashtags} hashtags`
+  );
+  const replies = settings.replies
+    .map((template) => renderTemplate(template, values))
+    .filter(Boolean)
+    .map((text) => (getWeightedLength(text) > maxLength ? trimToWeightedLength(text, maxLength) : text));
+  return [result.text, ...replies];
+};
+
+module.exports = {
+  getAccountSettings,
+  renderTemplate,
+  selectHashtags,
+  fitAnnouncement,
+  getArticleTitles,
+  composeAnnouncement,
+};
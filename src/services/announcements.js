@@ -0,0 +1,48 @@
+const config = require("../../config");
+const { JsonFileStore } = require("../utils/helpers");
+
+// Announcements kept per folder, newest first
+const MAX_PER_FOLDER = 20;
+
+/**
+ * Durable record of the X posts announcing each folder's resource files, so
+ * later steps can reply to or quote an announcement by its status URL.
+ */
+class AnnouncementStore extends JsonFileStore {
+  constructor(filePath = config.storage.announcementsPath) {
+    super(filePath, "AnnouncementStore");
+  }
+
+  fromJson(data) {
+    return data.folders || {};
+  }
+
+  toJson(folders) {
+    return { folders };
+  }
+
+  /**
+   * Stores a published announcement.
+   * @param {string} folderName - Folder the announced file belongs to.
+   * @param {Object} announcement - `{ url, parts, resourceUrl }`: status URL
+   *   of the first post, the text of every post in the thread, and the
+   *   announced file's URL.
+   */
+  record(folderName, { url, parts = [], resourceUrl = "" }) {
+    const folders = this.load();
+    const entry = { url, parts, resourceUrl, postedAt: new Date().toISOString() };
+    folders[folderName] = [entry, ...(folders[folderName] || [])].slice(0, MAX_PER_FOLDER);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * The folder's most recent announcement.
+   * @returns {{url: string, parts: string[], resourceUrl: string, postedAt: string}|null}
+   */
+  getLatest(folderName) {
+    return (this.load()[folderName] || [])[0] || null;
+  }
+}
+
+module.exports = new AnnouncementStore();
@@ -0,0 +1,253 @@
+const config = require("../../config");
+const { logger } = require("../utils/helpers");
+
+const TWEET_CONDITIONS = ["text", "authors", "domains", "languages", "hasMedia", "minWords", "maxWords"];
+const LINK_CONDITIONS = ["url", "domains", "path"];
+const PATTERN_CONDITIONS = ["text", "url", "path"];
+
+// Relative hrefs on a timeline point back into X
+const LINK_BASE_URL = "https://x.com";
+
+const bareHost = (hostname) => hostname.replace(/^www\./, "").toLowerCase();
+
+const lowerList = (values) =>
+  (Array.isArray(values) ? values : [values]).map((value) => String(value).replace(/^@/, "").toLowerCase());
+
+const hostOf = (href) => {
+  try {
+    return bareHost(new URL(href, LINK_BASE_URL).hostname);
+  } catch (error) {
+    return "";
+  }
+};
+
+const pathOf = (href) => {
+  try {
+    return new URL(href, LINK_BASE_URL).pathname;
+  } catch (error) {
+    return "";
+  }
+};
+
+const countWords = (text) => text.split(/\s+/).filter((word) => word.length > 0).length;
+
+/**
+ * Checks one configured rule and turns its patterns into RegExps
+ * (case-insensitive; a list of patterns matches when any of them does).
+ * @returns {Object|null} The compiled rule, or null when it is invalid.
+ */
+const compileRule = (rule, kind, index) => {
+  const name = rule?.name || `${kind} rule ${index + 1}`;
+  const conditions = kind === "links" ? LINK_CONDITIONS : TWEET_CONDITIONS;
+
+  if (!rule || !["include", "exclude"].includes(rule.action)) {
+    logger.warn(`Content rule "${name}" needs an action of "include" or "exclude", ignoring it`);
+    return null;
+  }
+  const unknown = Object.keys(rule).filter((key) => !["name", "action", "enabled", ...conditions].includes(key));
+  if (unknown.length > 0) {
+    logger.warn(`Content rule "${name}" has unknown conditions for ${kind}: ${unknown.join(", ")}, ignoring it`);
+    return null;
+  }
+  if (!conditions.some((key) => rule[key] !== undefined)) {
+    logger.warn(`Content rule "${name}" has no conditions, ignoring it`);
+    return null;
+  }
+
+  const compiled = { ...rule, name };
+  try {
+    for (const key of PATTERN_CONDITIONS) {
+      if (rule[key] === undefined) continue;
+      compiled[key] = (Array.isArray(rule[key]) ? rule[key] : [rule[key]]).map((pattern) => new RegExp(pattern, "i"));
+    }
+  } catch (error) {
+    logger.warn(`Content rule "${name}" has an invalid pattern (${error.message}), ignoring it`);
+    return null;
+  }
+  for (const key of ["authors", "domains", "languages"]) {
+    if (rule[key] !== undefined) compiled[key] = lowerList(rule[key]);
+  }
+  return compiled;
+};
+
+// Folder rules replace global rules of the same name; `enabled: false` turns one off
+const mergeRules = (globalRules = [], folderRules = []) => {
+  const merged = new Map();
+  [...globalRules, ...folderRules].forEach((rule, index) => merged.set(rule?.name || `#${index}`, rule));
+  return Array.from(merged.values()).filter((rule) => rule?.enabled !== false);
+};
+
+const rulesCache = new Map();
+
+/**
+ * The compiled tweet and link rules for a folder: the global
+ * config.contentRules merged with the folder's own `contentRules`.
+ * @param {Object} [folder] - Folder entry from config.folders; global rules only when omitted.
+ * @returns {{tweets: Object[], links: Object[]}}
+ */
+const resolveRules = (folder = null) => {
+  const key = folder?.name || "";
+  if (rulesCache.has(key)) return rulesCache.get(key);
+
+  const compile = (kind) =>
+    mergeRules(config.contentRules[kind], folder?.contentRules?.[kind])
+      .map((rule, index) => compileRule(rule, kind, index))
+      .filter(Boolean);
+  const rules = { tweets: compile("tweets"), links: compile("links") };
+  rulesCache.set(key, rules);
+  return rules;
+};
+
+const anyPattern = (patterns, value) => patterns.some((pattern) => pattern.test(value));
+
+const matchesDomain = (domains, hosts) =>
+  hosts.some((host) => domains.some((domain) => host === domain || host.endsWith(`.${domain}`)));
+
+// Every condition a rule sets has to hold
+const matchesTweet = (rule, tweet) => {
+  const text = `${tweet.text || ""}\n${tweet.quoted?.text || ""}`;
+  if (rule.text && !anyPattern(rule.text, text)) return false;
+  if (rule.authors && !rule.authors.includes(String(tweet.author || "").toLowerCase())) return false;
+  if (rule.domains) {
+    const hosts = [...(tweet.links || []), ...(tweet.quoted?.links || [])].map(hostOf).filter(Boolean);
+    if (!matchesDomain(rule.domains, hosts)) return false;
+  }
+  if (rule.languages) {
+    const language = String(tweet.lang || "").split("-")[0].toLowerCase();
+    if (!language || !rule.languages.includes(language)) return false;
+  }
+  if (rule.hasMedia !== undefined) {
+    const hasMedia = [tweet, tweet.quoted].some(
+      (post) => post && ((post.images || []).length > 0 || (post.videos || []).length > 0)
+    );
+    if (hasMedia !== !!rule.hasMedia) return false;
+  }
+  const words = countWords(text);
+  if (rule.minWords !== undefined && words < rule.minWords) return false;
+  if (rule.maxWords !== undefined && words > rule.maxWords) return false;
+  return true;
+};
+
+const matchesLink = (rule, href) => {
+  if (rule.url && !anyPattern(rule.url, href)) return false;
+  if (rule.domains && !matchesDomain(rule.domains, [hostOf(href)].filter(Boolean))) return false;
+  if (rule.path && !anyPattern(rule.path, pathOf(href))) return false;
+  return true;
+};
+
+/**
+ * Keeps the links no exclude rule matches and, when there are include
+ * rules, that match at least one of them.
+ */
+const filterLinks = (links, rules = resolveRules().links) => {
+  const includes = rules.filter((rule) => rule.action === "include");
+  return (links || []).filter((href) => {
+    const excludedBy = rules.find((rule) => rule.action === "exclude" && matchesLink(rule, href));
+    if (excludedBy) {
+      logger.debug(`Dropped link ${href}: excluded by rule "${excludedBy.name}"`);
+      return false;
+    }
+    return includes.length === 0 || includes.some((rule) => matchesLink(rule, href));
+  });
+};
+
+/**
+ * The first exclude rule a tweet matches, on its own text and its quoted
+ * tweet's text and links.
+ * @returns {Object|null}
+ */
+const findExcludingRule = (tweet, rules = resolveRules().tweets) =>
+  rules.find((rule) => rule.action === "exclude" && matchesTweet(rule, tweet)) || null;
+
+const excludesOnly = (rules) => rules.filter((rule) => rule.action === "exclude");
+
+/**
+ * Exclude checks for scraping X on behalf of one or more folders (several
+ * when a shared list is scraped once for every folder claiming it), before
+ * links are resolved. A link is kept when any of the folders keeps it, and a
+ * tweet is dropped only when every folder's rules exclude it. Include rules
+ * wait for applyContentRules(), which sees where t.co links actually go.
+ * @param {Object[]} folders - Folder entries from config.folders; global rules only when empty.
+ * @returns {{filterLinks: Function, findExcludingRule: Function}}
+ */
+const createScrapeFilter = (folders = []) => {
+  const ruleSets = (folders.length > 0 ? folders : [null]).map((folder) => {
+    const rules = resolveRules(folder);
+    return { links: excludesOnly(rules.links), tweets: excludesOnly(rules.tweets) };
+  });
+  return {
+    filterLinks: (links) =>
+      (links || []).filter((href) => ruleSets.some((rules) => filterLinks([href], rules.links).length > 0)),
+    findExcludingRule: (tweet) => {
+      const matches = ruleSets.map((rules) => findExcludingRule(tweet, rules.tweets));
+      return matches.every(Boolean) ? matches[0] : null;
+    },
+  };
+};
+
+// Links, and their resolved details when link enrichment ran
+const filterPostLinks = (post, rules) => {
+  const links = filterLinks(post.links, rules);
+  if (!post.linkDetails) return { ...post, links };
+  const kept = new Set(links);
+  return { ...post, links, linkDetails: post.linkDetails.filter((detail) => kept.has(detail.url)) };
+};
+
+const applyToThread = (thread, rules) => {
+  const tweets = [];
+  for (const [index, tweet] of (thread.tweets || []).entries()) {
+    const filtered = filterPostLinks(tweet, rules.links);
+    if (tweet.quoted) filtered.quoted = filterPostLinks(tweet.quoted, rules.links);
+
+    const rule = findExcludingRule(filtered, rules.tweets);
+    if (!rule) {
+      tweets.push(filtered);
+      continue;
+    }
+    if (index === 0) {
+      logger.info(`Dropped ${thread.url}: excluded by rule "${rule.name}"`);
+      return null;
+    }
+    logger.info(`Dropped ${tweet.url || tweet.id} from ${thread.url}: excluded by rule "${rule.name}"`);
+  }
+
+  const includes = rules.tweets.filter((rule) => rule.action === "include");
+  if (includes.length > 0 && !tweets.some((tweet) => includes.some((rule) => matchesTweet(rule, tweet)))) {
+    logger.info(
+      `Dropped ${thread.url}: matches none of the include rules (${includes.map((rule) => `"${rule.name}"`).join(", ")})`
+    );
+    return null;
+  }
+
+  return { ...thread, tweets };
+};
+
+/**
+ * Applies a folder's rules to its collected threads. Run it after link
+ * enrichment so link and domain rules see where links actually go rather
+ * than t.co. Links are filtered first. Tweets matching an exclude rule are
+ * dropped, and the whole thread with its first tweet. With include rules, at
+ * least one remaining tweet of a thread has to match one of them. Every
+ * dropped tweet is logged with its rule.
+ * @param {Object[]} threads - Threads as returned by content sources.
+ * @param {Object} [folder] - Folder entry from config.folders.
+ * @returns {Object[]} The threads that are kept, filtered.
+ */
+const applyContentRules = (threads, folder) => {
+  const rules = resolveRules(folder);
+  const kept = threads.map((thread) => applyToThread(thread, rules)).filter(Boolean);
+  if (kept.length < threads.length) {
+    logger.info(
+      `Content rules dropped ${threads.length - kept.length} of ${threads.length} threads for ${folder?.name || "all folders"}`
+    );
+  }
+  return kept;
+};
+
+module.exports = {
+  resolveRules,
+  filterLinks,
+  findExcludingRule,
+  createScrapeFilter,
+  applyContentRules,
+};
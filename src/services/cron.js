@@ -7,53 +7,119 @@ const TwitterService = new twitterService();
 const linkedinService = require("./linkedin");
 const LinkedInService = new linkedinService();
 const GithubService = require("./github");
+const { planListScrapes } = require("./list-planner");
+const seenTweets = require("./seen-tweets");
+const announcements = require("./announcements");
+const { composeAnnouncement, getArticleTitles } = require("./announcement-composer");
+const linkEnricher = require("./link-enricher");
+const paperEnricher = require("./paper-enricher");
+const { applyContentRules } = require("./content-rules");
+const { applyLanguagePolicy } = require("./language-policy");
+const {
+  registerSource,
+  collectFolderContent,
+  getPublishedKeys,
+} = require("../sources");
+const { createTwitterSource } = require("../sources/twitter");
+const { rssSource } = require("../sources/rss");
+const { hackerNewsSource } = require("../sources/hackernews");
+const { redditSource } = require("../sources/reddit");
+const { blueskySource } = require("../sources/bluesky");
+const { mastodonSource } = require("../sources/mastodon");
 const geminiService = require("./gemini");
 const cron = require("node-cron");
 
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 5000;
 
+registerSource(createTwitterSource(TwitterService));
+registerSource(rssSource);
+registerSource(hackerNewsSource);
+registerSource(redditSource);
+registerSource(blueskySource);
+registerSource(mastodonSource);
+
 const runDataPipeline = async (folder) => {
   for (let retryCount = 0; retryCount <= MAX_RETRIES; retryCount++) {
     try {
       // LinkedIn scraping disabled at user request
       const linkedinPosts = [];
 
-      logger.info(`Fetching tweets for folder: ${folder.name}...`);
-      const tweets = await TwitterService.fetchTweets({ folder }).catch(err => {
-        logger.error(`Error fetching tweets for ${folder.name}:`, err);
-        return [];
-      }) || [];
+      logger.info(`Collecting content for folder: ${folder.name}...`);
+      const threads = await paperEnricher.enrichThreads(
+        await applyLanguagePolicy(
+          applyContentRules(await linkEnricher.enrichThreads(await collectFolderContent(folder)), folder),
+          folder
+        )
+      );
 
-      if (tweets.length === 0 && linkedinPosts.length === 0) {
-        logger.info(`No new content found on X for folder: ${folder.name}`);
+      if (threads.length === 0 && linkedinPosts.length === 0) {
+        logger.info(`No new content found for folder: ${folder.name}`);
+        TwitterService.commitHighWaterMarks(folder.name);
+        TwitterService.commitListCursor(folder.name);
         return null;
       }
 
       const githubResult = await GithubService.createMarkdownFileFromCombined(
-        tweets,
+        threads,
         linkedinPosts,
         folder.name,
-        folder
+        folder,
+        { window: TwitterService.getFolderWindow(folder.name) }
       );
 
       if (!githubResult?.success) {
         throw new Error("Failed to create and upload combined markdown file");
       }
+      TwitterService.commitHighWaterMarks(folder.name);
+      TwitterService.commitListCursor(folder.name);
 
-      // Post to Twitter/X
-      const tweetText = `New ${getTopicName(
-        folder.name
-      )} resource added!\n\nMade by @Drix10 via @CosLynxAI\n\nCheck out the latest resource here:\n${githubResult.url
-        }`;
-      await TwitterService.postTweet(tweetText).catch(err => {
-        logger.error("Failed to post tweet:", err);
+      seenTweets.record(threads.flatMap(getPublishedKeys), {
+        folder: folder.name,
+        file: githubResult.path,
       });
 
+      // Post to Twitter/X
+      let announcementUrl = null;
+      if (config.announcements.enabled) {
+        // The account's template and hashtag rules need its handle even
+        // without X_HANDLE, so resolve it once for composing and posting
+        const handle = await TwitterService.getOwnHandle().catch(err => {
+          logger.warn(`Could not read the X account's handle, using the default announcement settings: ${err.message}`);
+          return null;
+        });
+        const topic = getTopicName(folder.name);
+        const parts = await composeAnnouncement({
+          topic,
+          markdown: githubResult.content,
+          url: githubResult.url,
+          handle,
+        });
+        const image = config.announcements.image
+          ? await renderAnnouncementImage(topic, githubResult.content)
+          : null;
+        try {
+          announcementUrl = await TwitterService.postTweet(parts, { image, handle }).catch(err => {
+            logger.error("Failed to post tweet:", err);
+            return null;
+          });
+        } finally {
+          if (image) fs.rmSync(image, { force: true });
+        }
+        if (announcementUrl) {
+          announcements.record(folder.name, {
+            url: announcementUrl,
+            parts,
+            resourceUrl: githubResult.url,
+          });
+        }
+      }
+
       return {
         queryName: folder.name,
         githubUrl: githubResult.url,
-        markdownContent: githubResult.content
+        markdownContent: githubResult.content,
+        announcementUrl,
       };
     } catch (error) {
       logger.error(`Pipeline error for folder ${folder.name} (attempt ${retryCount + 1}/${MAX_RETRIES}):`, error);
@@ -76,6 +142,19 @@ function getTopicName(queryName) {
   return folder ? folder.name : "AI Scrapped";
 }
 
+// Slide with the file's first article titles for the announcement, or null
+// when there are none or rendering fails
+const renderAnnouncementImage = async (topic, markdown) => {
+  const titles = getArticleTitles(markdown).slice(0, 3);
+  if (titles.length === 0) return null;
+  try {
+    return await LinkedInService.generateSlideImage(`New ${topic} resource`, titles);
+  } catch (error) {
+    logger.warn(`Could not render the announcement image, posting without it: ${error.message}`);
+    return null;
+  }
+};
+
 const runEndofRunCuration = async (successfulArticles) => {
   if (successfulArticles.length > 0) {
     logger.info(`Starting LinkedIn Agentic Curation Flow for ${successfulArticles.length} raw files (flattening sub-articles)...`);
@@ -201,6 +280,10 @@ const runEndofRunCuration = async (successfulArticles) => {
  */
 const processAllFolders = async () => {
   await TwitterService.init();
+  TwitterService.beginRun(
+    planListScrapes(config.folders, { getListsForRun: (folder) => TwitterService.getListsForRun(folder) })
+  );
+  geminiService.beginRun();
 
   const successfulArticles = [];
   for (const folder of config.folders) {
@@ -213,7 +296,8 @@ const processAllFolders = async () => {
         successfulArticles.push({
           title: result.queryName,
           githubUrl: result.githubUrl,
-          fullContent: result.markdownContent
+          fullContent: result.markdownContent,
+          announcementUrl: result.announcementUrl
         });
       } else {
         logger.info(
@@ -225,6 +309,7 @@ const processAllFolders = async () => {
       // Continue to next folder despite error
     }
   }
+  TwitterService.endRun();
 
   await GithubService.updateReadmeWithNewFile(
     config.github.owner,
@@ -1,3 +1,4 @@
+const axios = require("axios");
 const {
   GoogleGenerativeAI,
   HarmBlockThreshold,
@@ -9,6 +10,9 @@ const fs = require("fs");
 const path = require("path");
 const genAI = new GoogleGenerativeAI(config.gemini.apiKey);
 const { logger, sleep } = require("../utils/helpers");
+const { formatRepoFacts } = require("../utils/github-repos");
+const { getLanguageName, normalizeLanguageCode, detectLanguage } = require("../utils/language");
+const { assertPublicUrl, publicLookup } = require("../utils/url-safety");
 
 const safetySettings = [
   {
@@ -171,6 +175,14 @@ class GeminiService {
     this.lastRequestTime = 0;
     this.requestsThisMinute = 0;
     this.resetInterval = null;
+    // Image descriptions by URL for the current run, so retries and later
+    // folders reuse them
+    this.imageDescriptions = new Map();
+    this.imageBudget = config.gemini.imageUnderstanding.maxImagesPerRun;
+    // Translations by target language and text for the current run, reused
+    // across retries and folders
+    this.translations = new Map();
+    this.translationBudget = config.languages.maxTranslationsPerRun;
 
     // Reset counter every minute
     this.resetInterval = setInterval(() => {
@@ -181,6 +193,18 @@ class GeminiService {
     }
   }
 
+  /**
+   * Starts a pipeline run: restores the per-run image understanding and
+   * translation budgets and forgets the previous run's image descriptions
+   * and translations.
+   */
+  beginRun() {
+    this.imageDescriptions.clear();
+    this.translations.clear();
+    this.imageBudget = config.gemini.imageUnderstanding.maxImagesPerRun;
+    this.translationBudget = config.languages.maxTranslationsPerRun;
+  }
+
   cleanup() {
     if (this.resetInterval) {
       clearInterval(this.resetInterval);
@@ -380,7 +404,7 @@ Post length target: ${minLength}-${maxLength} characters total (including hook).
           text += item;
         } else if (Array.isArray(item)) {
           // It's a thread (array of tweets)
-          text += item.map(t => t.text || "").join("\n");
+          text += item.map(t => this.formatTweetText(t)).join("\n");
         } else if (item.text) {
           // It's a post object or tweet object
           text += item.text;
@@ -1227,7 +1251,7 @@ JSON schema:
       `;
 
       const groupedThreads = this.groupTweetsByConversation(
-        threads.flatMap((thread) => thread.tweets)
+        await this.describeImages(threads.flatMap((thread) => thread.tweets))
       );
 
       // Perform pre-filtering (Gap 1)
@@ -1247,14 +1271,17 @@ JSON schema:
         threadContent += `[Type: ${threadTweets.type || 'thread'}]\n`;
 
         for (const tweet of threadTweets) {
-          let content = tweet.text || "";
+          let content = this.formatTweetText(tweet);
 
           if (tweet.images && tweet.images.length > 0) {
             content +=
-              "\n\n" + tweet.images.map((img) => `![Image](${img})`).join("\n");
+              "\n\n" + tweet.images.map((img) => this.formatImageMarkdown(tweet, img)).join("\n");
+          }
+          if (tweet.videoDetails && tweet.videoDetails.length > 0) {
+            content += "\n\n" + tweet.videoDetails.map((video) => this.formatVideoMarkdown(video)).join("\n");
           }
           if (tweet.links && tweet.links.length > 0) {
-            content += "\n\nLinks:\n" + tweet.links.join("\n");
+            content += "\n\nLinks:\n" + this.formatLinks(tweet);
           }
 
           threadContent += content + "\n\n---\n\n";
@@ -1291,13 +1318,20 @@ Key Points:
 🔗 Resources:               (only if verified links or images exist in the source)
 • [Tool Name](url) - Brief description (max 10 words, no colons inside descriptions)
 ![Image](url)
+[![Video (m:ss)](poster-url)](tweet-url)
 
 Strict rules:
 - Exact spacing with double newlines between Key Points (bullet points starting with "•").
 - Maximum 3-5 Key Points and 3-5 Implementation steps.
 - Only use verified links and images directly present in the source text.
+- Name and describe each resource from the page title and description given after its link; do not guess what a link points to.
+- Do not add star counts, licenses or other repository facts to Resources bullets; they are added automatically.
+- Copy video thumbnails given as [![Video ...](poster)](url) into Resources exactly as written.
+- When a source tweet is marked [Translated from <Language>], start that article's introduction with "Translated from <Language>." so readers know it is based on a translation.
+- Name papers by their title in Resources and base claims about them on the abstract given. Do not write citations yourself; they are added automatically.
 - No bold, italic, extra emojis, or extra sections.
 - Make one formatted article for each thread/conversation provided.
+- Attribute claims to the account that made them. When a tweet quotes or replies to another account, say so (e.g. "@alice, quoting @bob's benchmark, ...") instead of presenting the other account's claims as the author's.
 - Do not repeat content or links within a single article.
 - Separate distinct articles with "---" and a newline.
 
@@ -1363,7 +1397,7 @@ If you liked reading this report, please star ⭐️ this repository and follow
       let filteredGroupedThreads = [];
       if (threads && threads.length > 0) {
         const groupedThreads = this.groupTweetsByConversation(
-          threads.flatMap((thread) => thread.tweets)
+          await this.describeImages(threads.flatMap((thread) => thread.tweets))
         );
         logger.info(`GeminiService: Pre-filtering ${groupedThreads.length} X threads...`);
         const threadIndices = await this.filterSubstantiveContent(groupedThreads);
@@ -1390,12 +1424,15 @@ If you liked reading this report, please star ⭐️ this repository and follow
           let threadContent = "";
           threadContent += `[Type: ${threadTweets.type || 'thread'}]\n`;
           for (const tweet of threadTweets) {
-            let content = tweet.text || "";
+            let content = this.formatTweetText(tweet);
             if (tweet.images && tweet.images.length > 0) {
-              content += "\n\n" + tweet.images.map((img) => `![Image](${img})`).join("\n");
+              content += "\n\n" + tweet.images.map((img) => this.formatImageMarkdown(tweet, img)).join("\n");
+            }
+            if (tweet.videoDetails && tweet.videoDetails.length > 0) {
+              content += "\n\n" + tweet.videoDetails.map((video) => this.formatVideoMarkdown(video)).join("\n");
             }
             if (tweet.links && tweet.links.length > 0) {
-              content += "\n\nLinks:\n" + tweet.links.join("\n");
+              content += "\n\nLinks:\n" + this.formatLinks(tweet);
             }
             threadContent += content + "\n\n---\n\n";
           }
@@ -1471,13 +1508,20 @@ Key Points:
 🔗 Resources:               (only if verified links or images exist in the source)
 • [Tool Name](url) - Brief description (max 10 words, no colons inside descriptions)
 ![Image](url)
+[![Video (m:ss)](poster-url)](tweet-url)
 
 Strict rules:
 - Exact spacing with double newlines between Key Points (bullet points starting with "•").
 - Maximum 3-5 Key Points and 3-5 Implementation steps.
 - Only use verified links and images directly present in the source text.
+- Name and describe each resource from the page title and description given after its link; do not guess what a link points to.
+- Do not add star counts, licenses or other repository facts to Resources bullets; they are added automatically.
+- Copy video thumbnails given as [![Video ...](poster)](url) into Resources exactly as written.
+- When a source tweet is marked [Translated from <Language>], start that article's introduction with "Translated from <Language>." so readers know it is based on a translation.
+- Name papers by their title in Resources and base claims about them on the abstract given. Do not write citations yourself; they are added automatically.
 - No bold, italic, extra emojis, or extra sections.
 - Make one formatted article for each high-quality content item provided.
+- Attribute claims to the account that made them. When a tweet quotes or replies to another account, say so (e.g. "@alice, quoting @bob's benchmark, ...") instead of presenting the other account's claims as the author's.
 - Do not repeat content or links within a single article.
 - Separate distinct articles with "---" and a newline.
 
@@ -1530,6 +1574,85 @@ If you liked reading this report, please star ⭐️ this repository and follow
     }
   }
 
+  /**
+   * Writes short summaries of a generated resource file for its X
+   * announcement, each naming the two or three most concrete tools or
+   * findings in it, plus hashtag suggestions. Summaries using banned words
+   * are left out unless every one does.
+   * @param {string} markdown - The generated resource file.
+   * @param {Object} options
+   * @param {string} options.topic - Folder name.
+   * @param {number} options.count - Number of summaries to write.
+   * @param {number} options.maxLength - Longest summary, in X-weighted characters.
+   * @param {number} options.hashtagCount - Hashtags to suggest; 0 for none.
+   * @returns {Promise<{summaries: string[], hashtags: string[]}>}
+   */
+  async generateAnnouncementSummaries(markdown, { topic, count, maxLength, hashtagCount }, retries = 2) {
+    // Headings, key points and resource names carry the specifics; images do not
+    const content = markdown
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+      .replace(/\n{3,}/g, "\n\n")
+      .slice(0, 12000);
+
+    const prompt = `
+Write ${count} alternative summaries announcing a new "${topic}" resource file on X (Twitter).
+
+Rules:
+- Each summary names the two or three most concrete tools, papers or findings from the file below, by name.
+- Each summary is at most ${maxLength} characters; emojis and CJK characters count as two. Make them progressively shorter, the last one well under the limit.
+- Plain statements in a senior-engineer tone. No hype, no questions, no links, no hashtags, no @mentions, at most one emoji.
+- NEVER use any of these banned words or their derivatives: ${BANNED_WORDS.join(", ")}
+${hashtagCount > 0 ? `- Also suggest ${hashtagCount} specific hashtags for the file's topics (e.g. "#RAG", "#Rust"), not generic ones like "#AI" or "#Tech".` : "- Return an empty hashtags array."}
+
+Return ONLY a valid raw JSON object with "summaries" (array of strings) and "hashtags" (array of strings).
+
+Resource file:
+${content}
+`;
+    const responseSchema = {
+      type: SchemaType.OBJECT,
+      properties: {
+        summaries: { type: SchemaType.ARRAY, items: { type: SchemaType.STRING } },
+        hashtags: { type: SchemaType.ARRAY, items: { type: SchemaType.STRING } },
+      },
+      required: ["summaries", "hashtags"],
+    };
+
+    try {
+      await this.checkRateLimit();
+      const responseModel = genAI.getGenerativeModel({
+        model: "gemini-2.5-flash",
+        safetySettings,
+        generationConfig: {
+          responseMimeType: "application/json",
+          responseSchema,
+        },
+      });
+      const result = await responseModel.generateContent(prompt);
+      const data = JSON.parse(result.response.text().trim());
+      const summaries = (data.summaries || []).map((summary) => String(summary).trim()).filter(Boolean);
+      if (summaries.length === 0) {
+        throw new Error("Invalid response format: no summaries");
+      }
+
+      const clean = summaries.filter(
+        (summary) => !BANNED_WORDS.some((word) => this.buildBannedWordRegex(word)?.test(summary))
+      );
+      return {
+        summaries: clean.length > 0 ? clean : summaries,
+        hashtags: (data.hashtags || []).map((tag) => String(tag).trim()).filter(Boolean),
+      };
+    } catch (error) {
+      logger.error("GeminiService: Error in generateAnnouncementSummaries:", error);
+      if (retries > 0) {
+        logger.warn(`error in announcement generation, retrying in 30 seconds... (${retries} retries remaining)`);
+        await sleep(30000);
+        return this.generateAnnouncementSummaries(markdown, { topic, count, maxLength, hashtagCount }, retries - 1);
+      }
+      throw error;
+    }
+  }
+
   async generateLinkedInSummaryPost(threads, linkedinPosts, githubUrl, retries = 3) {
     try {
       let combinedPrompt = "";
@@ -1537,7 +1660,7 @@ If you liked reading this report, please star ⭐️ this repository and follow
       if (threads && threads.length > 0) {
         combinedPrompt += "--- TWITTER/X THREADS ---\n\n";
         threads.forEach((t, i) => {
-          combinedPrompt += `Item #${i + 1} (X):\n${t.tweets ? t.tweets.map(tweet => tweet.text).join("\n") : t.url}\n`;
+          combinedPrompt += `Item #${i + 1} (X):\n${t.tweets ? t.tweets.map(tweet => this.formatTweetText(tweet)).join("\n") : t.url}\n`;
           if (t.tweets) {
             t.tweets.forEach(tweet => {
               if (tweet.images) combinedPrompt += tweet.images.map(img => `Image: ${img}\n`).join("");
@@ -2239,6 +2362,307 @@ JSON schema:
     }
   }
 
+  /**
+   * Sends one image to Gemini as an inline part and returns a description
+   * and a verbatim transcription of any text in it (code, tables, charts).
+   * @param {string} url - Image URL.
+   * @param {string} [altText] - Alt text the author gave the image.
+   * @returns {Promise<{description: string, text: string}|null>} Null when
+   *   the image could not be downloaded or described.
+   */
+  async describeImage(url, altText = "") {
+    const { maxBytes, timeout, maxTextLength } = config.gemini.imageUnderstanding;
+    try {
+      // Image URLs come from scraped posts, so never fetch internal hosts
+      // and don't follow redirects that could lead to one
+      await assertPublicUrl(url);
+      const response = await axios.get(url, {
+        responseType: "arraybuffer",
+        timeout,
+        maxRedirects: 0,
+        maxContentLength: maxBytes,
+        lookup: publicLookup,
+      });
+      const mimeType = String(response.headers["content-type"] || "").split(";")[0].trim();
+      if (!mimeType.startsWith("image/")) {
+        logger.warn(`GeminiService: Skipping ${url}, not an image (${mimeType})`);
+        return null;
+      }
+
+      const prompt = `
+You are helping a technical curator understand an image attached to a tweet.
+${altText ? `The author's alt text for it: "${altText}"\n` : ""}
+Return ONLY a valid raw JSON object with:
+- "description": 1-2 sentences on what the image shows (e.g. a code snippet in Python, a benchmark table comparing models, an architecture diagram). Mention concrete names and numbers.
+- "text": every legible piece of text in the image, transcribed verbatim. Keep code indentation and put table rows on separate lines with cells separated by " | ". Use an empty string when there is no text.
+`;
+      const responseSchema = {
+        type: SchemaType.OBJECT,
+        properties: {
+          description: { type: SchemaType.STRING },
+          text: { type: SchemaType.STRING },
+        },
+        required: ["description", "text"],
+      };
+
+      await this.checkRateLimit();
+      const responseModel = genAI.getGenerativeModel({
+        model: "gemini-2.5-flash",
+        safetySettings,
+        generationConfig: {
+          responseMimeType: "application/json",
+          responseSchema,
+        },
+      });
+      const result = await responseModel.generateContent([
+        prompt,
+        { inlineData: { data: Buffer.from(response.data).toString("base64"), mimeType } },
+      ]);
+      const data = JSON.parse(result.response.text().trim());
+
+      return {
+        description: String(data.description || "").trim(),
+        text: String(data.text || "").trim().slice(0, maxTextLength),
+      };
+    } catch (error) {
+      logger.warn(`GeminiService: Could not describe image ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Describes the images of the given tweets (and their quoted tweets) and
+   * attaches the results as `imageDescriptions`, keyed by image URL. Images
+   * from tweets with the least text go first, since screenshots of code or
+   * tables usually come with little text. Stops when the per-run budget is
+   * spent; descriptions are reused across retries and folders within a run,
+   * and images that could not be described are retried by the next call.
+   * @param {Object[]} tweets - Tweets as found in thread.tweets.
+   * @returns {Promise<Object[]>} Annotated copies of the tweets.
+   */
+  async describeImages(tweets) {
+    if (!config.gemini.imageUnderstanding.enabled) return tweets;
+
+    const items = tweets.flatMap((tweet) => [tweet, tweet.quoted].filter(Boolean));
+    const pending = items
+      .flatMap((item) => (item.images || []).map((url) => ({ item, url })))
+      .filter(({ url }) => !this.imageDescriptions.has(url))
+      .sort((a, b) => (a.item.text || "").length - (b.item.text || "").length);
+
+    const attempted = new Set();
+    let described = 0;
+    for (const { item, url } of pending) {
+      if (this.imageBudget <= 0) {
+        logger.info(`GeminiService: Image budget spent, ${pending.length - attempted.size} images left undescribed`);
+        break;
+      }
+      if (attempted.has(url)) continue;
+      attempted.add(url);
+      this.imageBudget--;
+      const description = await this.describeImage(url, item.imageAlts?.[url]);
+      if (!description) continue;
+      described++;
+      this.imageDescriptions.set(url, description);
+    }
+    if (described > 0) {
+      logger.info(`GeminiService: Described ${described} images (${this.imageBudget} left this run)`);
+    }
+
+    const annotate = (item) => {
+      const descriptions = {};
+      for (const url of item.images || []) {
+        const description = this.imageDescriptions.get(url);
+        if (description) descriptions[url] = description;
+      }
+      return Object.keys(descriptions).length > 0 ? { ...item, imageDescriptions: descriptions } : item;
+    };
+    return tweets.map((tweet) => ({
+      ...annotate(tweet),
+      quoted: tweet.quoted ? annotate(tweet.quoted) : tweet.quoted,
+    }));
+  }
+
+  /**
+   * Translates the text of tweets and their quoted tweets in one request.
+   * Each translated thread spends one unit of the per-run budget. A post's
+   * own language tag wins over the thread's, and quoted tweets without one
+   * are detected from their text, so quotes already in the target language
+   * are left as they are.
+   * @param {Object[]} tweets - Tweets of one thread.
+   * @param {string} sourceLanguage - Language code of the thread, e.g. "ja".
+   * @param {string} targetLanguage - Language code to translate into.
+   * @returns {Promise<Object[]|null>} Copies of the tweets with the
+   *   translation in `text`, the original in `originalText` and the source
+   *   language in `translatedFrom`; null when the budget is spent or the
+   *   translation failed.
+   */
+  async translateTweets(tweets, sourceLanguage, targetLanguage) {
+    const target = normalizeLanguageCode(targetLanguage);
+    const languageOf = (item, quoted) =>
+      normalizeLanguageCode(item.lang) || (quoted && detectLanguage(item.text)) || sourceLanguage;
+    const cacheKey = (text) => `${targetLanguage}\n${text}`;
+    // Texts still to translate, with the language each is written in
+    const pending = new Map();
+    for (const tweet of tweets) {
+      for (const [item, quoted] of [[tweet, false], [tweet.quoted, true]]) {
+        if (!item?.text || this.translations.has(cacheKey(item.text))) continue;
+        const language = languageOf(item, quoted);
+        if (language !== target) pending.set(item.text, language);
+      }
+    }
+    const missing = Array.from(pending.keys());
+
+    if (missing.length > 0) {
+      if (this.translationBudget <= 0) {
+        logger.info("GeminiService: Translation budget spent for this run");
+        return null;
+      }
+      this.translationBudget--;
+
+      const prompt = `
+Translate each of the following social media posts into ${getLanguageName(targetLanguage)}. Each post is marked with the language it is written in.
+Keep URLs, @mentions, #hashtags, code, numbers and product names exactly as written. Do not summarise, explain or add anything.
+Return ONLY a valid raw JSON object with "translations": an array with exactly ${missing.length} strings, one per post, in the same order.
+
+${missing.map((text, index) => `[Post ${index + 1}, ${getLanguageName(pending.get(text))}]\n${text}`).join("\n\n")}
+`;
+      const responseSchema = {
+        type: SchemaType.OBJECT,
+        properties: {
+          translations: { type: SchemaType.ARRAY, items: { type: SchemaType.STRING } },
+        },
+        required: ["translations"],
+      };
+
+      try {
+        await this.checkRateLimit();
+        const responseModel = genAI.getGenerativeModel({
+          model: "gemini-2.5-flash",
+          safetySettings,
+          generationConfig: {
+            responseMimeType: "application/json",
+            responseSchema,
+          },
+        });
+        const result = await responseModel.generateContent(prompt);
+        const { translations } = JSON.parse(result.response.text().trim());
+        if (!Array.isArray(translations) || translations.length !== missing.length) {
+          throw new Error(`expected ${missing.length} translations, got ${translations?.length}`);
+        }
+        missing.forEach((text, index) => this.translations.set(cacheKey(text), String(translations[index]).trim()));
+      } catch (error) {
+        logger.warn(`GeminiService: Could not translate from ${sourceLanguage}: ${error.message}`);
+        return null;
+      }
+    }
+
+    const translate = (item, quoted) => {
+      const language = languageOf(item, quoted);
+      return item.text && language !== target
+        ? { ...item, text: this.translations.get(cacheKey(item.text)), originalText: item.text, translatedFrom: language }
+        : item;
+    };
+    return tweets.map((tweet) => ({
+      ...translate(tweet, false),
+      quoted: tweet.quoted ? translate(tweet.quoted, true) : tweet.quoted,
+    }));
+  }
+
+  // Alt text and Gemini's description and transcription of each image
+  formatImageContext(item) {
+    return (item.images || [])
+      .map((url, index) => {
+        const alt = item.imageAlts?.[url];
+        const described = item.imageDescriptions?.[url];
+        const lines = [];
+        if (alt) lines.push(`[Image ${index + 1} alt text: ${alt}]`);
+        if (described?.description) lines.push(`[Image ${index + 1} shows: ${described.description}]`);
+        if (described?.text) lines.push(`[Text in image ${index + 1}]:\n${described.text}`);
+        return lines.join("\n");
+      })
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  /**
+   * Tweet text for prompts, with reply context and any quoted tweet marked
+   * with their authors so claims can be attributed correctly, followed by
+   * what its images show. Translated text is marked with its source language.
+   */
+  formatTweetText(tweet) {
+    const author = tweet.author ? `@${tweet.author}` : "The author";
+    let text = tweet.text || "";
+    if (tweet.translatedFrom) text = `[Translated from ${getLanguageName(tweet.translatedFrom)}]\n${text}`;
+    const imageContext = this.formatImageContext(tweet);
+    if (imageContext) text = text ? `${text}\n${imageContext}` : imageContext;
+
+    if (tweet.replyTo?.author && tweet.replyTo.author !== tweet.author) {
+      text = `[${author} replying to @${tweet.replyTo.author}]\n${text}`;
+    }
+
+    if (tweet.quoted) {
+      const quotedAuthor = tweet.quoted.author ? `@${tweet.quoted.author}` : "another account";
+      const quotedUrl = tweet.quoted.url ? ` (${tweet.quoted.url})` : "";
+      text += `\n\n[${author} quoting ${quotedAuthor}${quotedUrl}]:\n${tweet.quoted.text || ""}`;
+      const quotedImageContext = this.formatImageContext(tweet.quoted);
+      if (quotedImageContext) text += `\n${quotedImageContext}`;
+      if (tweet.quoted.images?.length > 0) {
+        text += "\n" + tweet.quoted.images.map((img) => this.formatImageMarkdown(tweet.quoted, img)).join("\n");
+      }
+      if (tweet.quoted.videoDetails?.length > 0) {
+        text += "\n" + tweet.quoted.videoDetails.map((video) => this.formatVideoMarkdown(video)).join("\n");
+      }
+      if (tweet.quoted.links?.length > 0) {
+        text += `\nLinks in the quoted tweet:\n${this.formatLinks(tweet.quoted)}`;
+      }
+    }
+
+    return text;
+  }
+
+  // One link per line, followed by the page title and description when link
+  // enrichment found them, repository facts for GitHub repositories and
+  // metadata for arXiv and DOI papers
+  formatLinks(item) {
+    const details = new Map((item.linkDetails || []).map((detail) => [detail.url, detail]));
+    return item.links
+      .map((link) => {
+        const detail = details.get(link);
+        let line = link;
+        if (detail?.title) {
+          const site = detail.siteName ? ` (${detail.siteName})` : "";
+          const description = detail.description ? `: ${detail.description}` : "";
+          line += ` — ${detail.title}${site}${description}`;
+        }
+        if (detail?.repo) {
+          line += ` [GitHub repository: ${formatRepoFacts(detail.repo, config.github.repoMetadata.staleAfterDays)}]`;
+        }
+        if (detail?.paper) {
+          const { title, authors, published, categories, venue, abstract } = detail.paper;
+          const byline = authors.length > 3 ? `${authors.slice(0, 3).join(", ")} et al.` : authors.join(", ");
+          const facts = [byline, published, venue, categories.slice(0, 3).join(", ")].filter(Boolean).join("; ");
+          line += `\n  [Paper: "${title}" (${facts})${abstract ? `\n  Abstract: ${abstract}` : ""}]`;
+        }
+        return line;
+      })
+      .join("\n");
+  }
+
+  // Clickable poster frame linking to the tweet, since X video files only
+  // play inside an X session
+  formatVideoMarkdown(video) {
+    const minutes = Math.floor((video.duration || 0) / 60);
+    const seconds = String((video.duration || 0) % 60).padStart(2, "0");
+    const label = video.duration ? `Video (${minutes}:${seconds})` : "Video";
+    return video.poster ? `[![${label}](${video.poster})](${video.url})` : `[▶ ${label}](${video.url})`;
+  }
+
+  // Sources that expose alt text (Bluesky, Mastodon) keep it in tweet.imageAlts
+  formatImageMarkdown(tweet, img) {
+    const alt = (tweet.imageAlts?.[img] || "Image").replace(/[\[\]\n]+/g, " ").trim();
+    return `![${alt}](${img})`;
+  }
+
   groupTweetsByConversation(tweets) {
     const conversations = new Map();
 
@@ -1,12 +1,29 @@
 const { Octokit } = require("@octokit/rest");
+const axios = require("axios");
+const crypto = require("crypto");
+const path = require("path");
 const config = require("../../config");
-const { logger, handleError } = require("../utils/helpers");
+const { logger, handleError, mapLinkDetails } = require("../utils/helpers");
 const geminiService = require("./gemini");
+const { parseRepoUrl, formatRepoFacts } = require("../utils/github-repos");
+const { addPaperCitations } = require("./paper-enricher");
+const { getLanguageName } = require("../utils/language");
+const { assertPublicUrl, publicLookup } = require("../utils/url-safety");
+
+const IMAGE_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/avif": "avif",
+};
 
 class GithubService {
   constructor() {
     this.RATE_LIMIT_BUFFER = 100;
     this.MAX_RETRIES = 3;
+    // Linked repository metadata by lower-case "owner/repo", null for missing repos
+    this.repoMetadataCache = new Map();
 
     try {
       this.octokit = new Octokit({
@@ -43,7 +60,35 @@ class GithubService {
     }
   }
 
-  async createMarkdownFileFromTweets(threadData, queryName, folder) {
+  /**
+   * Opening line of a resource file stating the time window its X content
+   * covers.
+   * @param {Object|null} window - See TwitterService.getFolderWindow().
+   */
+  formatWindowNote(window) {
+    if (!window) return "";
+    const format = (iso) => `${new Date(iso).toISOString().slice(0, 16).replace("T", " ")} UTC`;
+    const scope = window.sincePreviousRun ? ", the window since the previous run" : "";
+    return `> 🕒 Picked from X posts made between ${format(window.since)} and ${format(window.until)}${scope}.\n\n`;
+  }
+
+  /**
+   * Line listing the posts that were translated before generation, with the
+   * language each was written in. Empty when nothing was translated.
+   * @param {Object[]} threads - Threads annotated by applyLanguagePolicy().
+   */
+  formatTranslationNote(threads) {
+    const translated = (threads || [])
+      .filter((thread) => thread.language?.translated)
+      .map((thread) => {
+        const author = thread.tweets?.[0]?.author;
+        return `[${author ? `@${author}` : "post"}](${thread.url}) from ${getLanguageName(thread.language.code)}`;
+      });
+    if (translated.length === 0) return "";
+    return `> 🌐 Translated into ${getLanguageName(config.languages.target)} before summarising: ${translated.join(", ")}.\n\n`;
+  }
+
+  async createMarkdownFileFromTweets(threadData, queryName, folder, { window = null } = {}) {
     try {
       logger.info(
         `Generating markdown content for ${threadData.length} threads of type ${queryName}`
@@ -53,7 +98,14 @@ class GithubService {
         throw new Error("GitHub repository configuration is missing");
       }
 
-      const markdownContent = await geminiService.generateMarkdown(threadData);
+      const { threads: enrichedThreads, repos } = await this.enrichRepoLinks(threadData);
+      const markdownContent =
+        this.formatWindowNote(window) +
+        this.formatTranslationNote(threadData) +
+        this.annotateRepoLinks(
+          addPaperCitations(await geminiService.generateMarkdown(enrichedThreads), enrichedThreads),
+          repos
+        );
       const fileBuffer = Buffer.from(markdownContent);
 
       const result = await this.uploadMarkdownFile(
@@ -71,6 +123,7 @@ class GithubService {
       return {
         success: true,
         url: result.url,
+        path: result.path,
         content: markdownContent,
         folder: folder.name,
       };
@@ -80,7 +133,7 @@ class GithubService {
     }
   }
 
-  async createMarkdownFileFromCombined(threads, linkedinPosts, queryName, folder) {
+  async createMarkdownFileFromCombined(threads, linkedinPosts, queryName, folder, { window = null } = {}) {
     try {
       logger.info(
         `Generating markdown content for ${threads.length} X threads and ${linkedinPosts.length} LinkedIn posts of type ${queryName}`
@@ -90,7 +143,17 @@ class GithubService {
         throw new Error("GitHub repository configuration is missing");
       }
 
-      const markdownContent = await geminiService.generateMarkdownFromCombined(threads, linkedinPosts);
+      const { threads: enrichedThreads, repos } = await this.enrichRepoLinks(threads);
+      const markdownContent =
+        this.formatWindowNote(window) +
+        this.formatTranslationNote(threads) +
+        this.annotateRepoLinks(
+          addPaperCitations(
+            await geminiService.generateMarkdownFromCombined(enrichedThreads, linkedinPosts),
+            enrichedThreads
+          ),
+          repos
+        );
       const fileBuffer = Buffer.from(markdownContent);
 
       const result = await this.uploadMarkdownFile(
@@ -108,6 +171,7 @@ class GithubService {
       return {
         success: true,
         url: result.url,
+        path: result.path,
         content: markdownContent,
         folder: folder.name,
       };
@@ -117,7 +181,241 @@ class GithubService {
     }
   }
 
-  async uploadMarkdownFile(fileBuffer, repoName, folder) {
+  /**
+   * Fetches stars, primary language, license, last push and archived status
+   * of a public repository.
+   * @returns {Promise<Object|null>} Metadata, or null when the repository
+   *   does not exist or could not be fetched.
+   */
+  async getRepoMetadata(owner, repo) {
+    const key = `${owner}/${repo}`.toLowerCase();
+    if (this.repoMetadataCache.has(key)) return this.repoMetadataCache.get(key);
+
+    let metadata = null;
+    try {
+      const { data } = await this.octokit.repos.get({ owner, repo });
+      const spdxId = data.license?.spdx_id;
+      metadata = {
+        fullName: data.full_name,
+        url: data.html_url,
+        stars: data.stargazers_count || 0,
+        language: data.language || "",
+        license: spdxId && spdxId !== "NOASSERTION" ? spdxId : data.license?.name || "",
+        pushedAt: data.pushed_at || "",
+        archived: !!data.archived,
+      };
+    } catch (error) {
+      // Only remember missing repositories; anything else may be transient
+      if (error.status !== 404) {
+        logger.warn(`Failed to fetch metadata for ${owner}/${repo}: ${error.message}`);
+        return null;
+      }
+    }
+
+    this.repoMetadataCache.set(key, metadata);
+    return metadata;
+  }
+
+  /**
+   * Looks up every GitHub repository linked from the threads and attaches
+   * its metadata to the matching `linkDetails` entry as `repo`.
+   * @returns {Promise<{threads: Object[], repos: Map<string, Object>}>}
+   *   Annotated threads, and metadata by lower-case "owner/repo".
+   */
+  async enrichRepoLinks(threads) {
+    const repos = new Map();
+    const { enabled, maxReposPerRun } = config.github.repoMetadata;
+    if (!enabled || !threads?.length) return { threads, repos };
+
+    const linked = new Map();
+    for (const thread of threads) {
+      for (const tweet of thread.tweets || []) {
+        for (const link of [...(tweet.links || []), ...(tweet.quoted?.links || [])]) {
+          const parsed = parseRepoUrl(link);
+          if (parsed && !linked.has(parsed.key)) linked.set(parsed.key, parsed);
+        }
+      }
+    }
+    if (linked.size === 0) return { threads, repos };
+
+    if (linked.size > maxReposPerRun) {
+      logger.warn(`Fetching metadata for ${maxReposPerRun} of ${linked.size} linked GitHub repositories`);
+    }
+    for (const { owner, repo, key } of Array.from(linked.values()).slice(0, maxReposPerRun)) {
+      const metadata = await this.getRepoMetadata(owner, repo);
+      if (metadata) repos.set(key, metadata);
+    }
+    logger.info(`Fetched metadata for ${repos.size} linked GitHub repositories`);
+
+    return {
+      threads: mapLinkDetails(threads, (detail, url) => {
+        const metadata = repos.get(parseRepoUrl(url)?.key);
+        return metadata ? { ...detail, repo: metadata } : detail;
+      }),
+      repos,
+    };
+  }
+
+  /**
+   * Appends repository facts to each Resources bullet that links to a
+   * repository with known metadata, flagging archived and stale ones.
+   */
+  annotateRepoLinks(markdown, repos) {
+    if (!markdown || repos.size === 0) return markdown;
+    const { staleAfterDays } = config.github.repoMetadata;
+
+    return markdown
+      .split("\n")
+      .map((line) => {
+        if (!/^\s*•/.test(line) || line.includes("⭐")) return line;
+        for (const [, url] of line.matchAll(/\]\((https?:\/\/[^)\s]+)\)/g)) {
+          const metadata = repos.get(parseRepoUrl(url)?.key);
+          if (metadata) return `${line.trimEnd()} (${formatRepoFacts(metadata, staleAfterDays)})`;
+        }
+        return line;
+      })
+      .join("\n");
+  }
+
+  /**
+   * Downloads the images a markdown file embeds so they can be committed
+   * next to it. Each image is stored once under `assets/`, named by the
+   * SHA-256 of its content, and the markdown is rewritten to point at the
+   * mirrored copy. Only raster images from the configured media hosts are
+   * fetched, never from private addresses; other images and images that fail
+   * to download keep their original URL.
+   * @param {string} markdown - Generated markdown.
+   * @param {string} filePath - Repository path the markdown will be written to.
+   * @returns {Promise<{markdown: string, assets: {path: string, content: Buffer}[]}>}
+   */
+  async mirrorImages(markdown, filePath) {
+    const { assetsDir, timeout, maxBytes, maxImages, hosts } = config.github.mirrorImages;
+    const pattern = /(!\[[^\]]*\]\()(https?:\/\/[^)\s]+)(\))/g;
+    const isMediaHost = (url) => {
+      try {
+        return hosts.includes(new URL(url).hostname.toLowerCase());
+      } catch (error) {
+        return false;
+      }
+    };
+    const urls = Array.from(new Set(Array.from(markdown.matchAll(pattern), (match) => match[2]))).filter(isMediaHost);
+    if (urls.length > maxImages) {
+      logger.warn(`Mirroring the first ${maxImages} of ${urls.length} images in ${filePath}`);
+    }
+
+    const assets = new Map();
+    const mirrored = new Map();
+    for (const url of urls.slice(0, maxImages)) {
+      try {
+        await assertPublicUrl(url);
+        const response = await axios.get(url, {
+          responseType: "arraybuffer",
+          timeout,
+          maxContentLength: maxBytes,
+          // Redirects could leave the allowed hosts
+          maxRedirects: 0,
+          lookup: publicLookup,
+        });
+        const contentType = String(response.headers["content-type"] || "").split(";")[0].trim();
+        const extension = IMAGE_EXTENSIONS[contentType];
+        if (!extension) {
+          logger.warn(`Not mirroring ${url}: unexpected content type "${contentType}"`);
+          continue;
+        }
+
+        const content = Buffer.from(response.data);
+        const hash = crypto.createHash("sha256").update(content).digest("hex");
+        const assetPath = `${assetsDir}/${hash.slice(0, 16)}.${extension}`;
+        assets.set(assetPath, content);
+        mirrored.set(url, path.posix.relative(path.posix.dirname(filePath), assetPath));
+      } catch (error) {
+        logger.warn(`Failed to mirror image ${url}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Mirrored ${mirrored.size} of ${urls.length} images as ${assets.size} assets`);
+    return {
+      markdown: markdown.replace(pattern, (match, open, url, close) =>
+        mirrored.has(url) ? `${open}${encodeURI(mirrored.get(url))}${close}` : match
+      ),
+      assets: Array.from(assets, ([assetPath, content]) => ({ path: assetPath, content })),
+    };
+  }
+
+  /**
+   * Commits several files to a branch in a single commit through the Git data
+   * API. Identical content produces identical blobs, so re-committing an
+   * existing asset leaves it unchanged.
+   * @param {{path: string, content: Buffer}[]} files
+   * @param {string} message - Commit message.
+   * @param {string} branch - Branch to commit to, usually the default branch.
+   * @returns {Promise<Object>} `{ commitSha, blobShas }`, blob SHAs by path.
+   */
+  async commitFiles(owner, repo, files, message, branch) {
+    try {
+      const { data: ref } = await this.octokit.git.getRef({ owner, repo, ref: `heads/${branch}` });
+      const { data: baseCommit } = await this.octokit.git.getCommit({
+        owner,
+        repo,
+        commit_sha: ref.object.sha,
+      });
+
+      const blobShas = {};
+      const tree = [];
+      for (const file of files) {
+        const { data: blob } = await this.octokit.git.createBlob({
+          owner,
+          repo,
+          content: file.content.toString("base64"),
+          encoding: "base64",
+        });
+        blobShas[file.path] = blob.sha;
+        tree.push({ path: file.path, mode: "100644", type: "blob", sha: blob.sha });
+      }
+
+      const { data: newTree } = await this.octokit.git.createTree({
+        owner,
+        repo,
+        base_tree: baseCommit.tree.sha,
+        tree,
+      });
+      const { data: commit } = await this.octokit.git.createCommit({
+        owner,
+        repo,
+        message,
+        tree: newTree.sha,
+        parents: [ref.object.sha],
+      });
+      await this.octokit.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha: commit.sha });
+
+      return { commitSha: commit.sha, blobShas };
+    } catch (error) {
+      logger.error("Multi-file commit failed:", {
+        error: error.message,
+        owner,
+        repo,
+        paths: files.map((file) => file.path),
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Uploads a resource file as the next resources-NNN.md in the folder.
+   * @param {Buffer} fileBuffer - Markdown content.
+   * @param {string} repoName - "owner/repo".
+   * @param {Object} folder - Folder from config.folders.
+   * @param {Object} [options]
+   * @param {boolean} [options.mirrorImages] - Commit copies of the embedded
+   *   images under assets/ in the same commit and point the markdown at them.
+   *   Defaults to GITHUB_MIRROR_IMAGES; folders can override with `mirrorImages`.
+   */
+  async uploadMarkdownFile(
+    fileBuffer,
+    repoName,
+    folder,
+    { mirrorImages = folder.mirrorImages ?? config.github.mirrorImages.enabled } = {}
+  ) {
     const [owner, repo] = repoName.split("/");
 
     const decodedFolder = folder.name.replace(/ /g, " ");
@@ -134,7 +432,6 @@ class GithubService {
 
       const fileName = `resources-${String(nextNumber).padStart(3, "0")}.md`;
       const filePath = `${decodedFolder}/${fileName}`;
-      const base64FileContent = fileBuffer.toString("base64");
 
       const rateLimit = await this.checkRateLimit();
       if (rateLimit.isLimited) {
@@ -143,24 +440,46 @@ class GithubService {
         );
       }
 
-      await this.checkRepoAccess(owner, repo);
+      const { default_branch: defaultBranch } = await this.checkRepoAccess(owner, repo);
 
-      const response = await this.createOrUpdateFile(
-        owner,
-        repo,
-        filePath,
-        base64FileContent,
-        `📝 Add resource collection #${nextNumber}`
-      );
+      const message = `📝 Add resource collection #${nextNumber}`;
+      const mirror = mirrorImages
+        ? await this.mirrorImages(fileBuffer.toString("utf-8"), filePath)
+        : { assets: [] };
 
-      const fileUrl = `https://github.com/${owner}/${repo}/blob/main/${urlSafeFolder}/${fileName}`;
+      let sha;
+      let branch = "main";
+      if (mirror.assets.length > 0) {
+        branch = defaultBranch || branch;
+        const { blobShas } = await this.commitFiles(
+          owner,
+          repo,
+          [{ path: filePath, content: Buffer.from(mirror.markdown) }, ...mirror.assets],
+          message,
+          branch
+        );
+        sha = blobShas[filePath];
+      } else {
+        const response = await this.createOrUpdateFile(
+          owner,
+          repo,
+          filePath,
+          fileBuffer.toString("base64"),
+          message
+        );
+        sha = response.data.content.sha;
+      }
+
+      const fileUrl = `https://github.com/${owner}/${repo}/blob/${branch}/${urlSafeFolder}/${fileName}`;
 
       return {
         success: true,
         message: "File uploaded successfully",
         url: fileUrl,
-        sha: response.data.content.sha,
+        path: filePath,
+        sha,
         number: nextNumber,
+        assets: mirror.assets.map((asset) => asset.path),
       };
     } catch (error) {
       return this.handleGitHubError(error);
@@ -0,0 +1,76 @@
+const config = require("../../config");
+const geminiService = require("./gemini");
+const { getLanguageName, normalizeLanguageCode, getThreadLanguage } = require("../utils/language");
+const { logger } = require("../utils/helpers");
+
+const ACTIONS = ["keep", "drop", "translate"];
+
+/**
+ * What to do with a thread in `code` for a folder: the folder's
+ * `languagePolicy` entry for the language, then its default, then the same
+ * in config.languages.policy. Threads already in the target language, or
+ * in no detectable language, are always kept.
+ * @returns {"keep"|"drop"|"translate"}
+ */
+const getLanguageAction = (code, folder) => {
+  if (!code || code === normalizeLanguageCode(config.languages.target)) return "keep";
+  const folderPolicy = folder?.languagePolicy || {};
+  const globalPolicy = config.languages.policy;
+  const action = folderPolicy[code] ?? folderPolicy.default ?? globalPolicy[code] ?? globalPolicy.default;
+  if (ACTIONS.includes(action)) return action;
+  logger.warn(`Unknown language policy "${action}" for ${code} in ${folder?.name || "config"}, keeping the thread`);
+  return "keep";
+};
+
+/**
+ * Detects the language of each thread and applies the folder's language
+ * policy. Every thread is annotated with `language` ({ code, detectedBy,
+ * translated }); translated threads carry the translation in each tweet's
+ * text, with the original in `originalText` and the source language in
+ * `translatedFrom`. Threads that cannot be translated are kept as they are.
+ * @param {Object[]} threads - Threads as returned by content sources.
+ * @param {Object} folder - Folder entry from config.folders.
+ * @param {Object} [options]
+ * @param {Object} [options.translator] - Anything with GeminiService's translateTweets().
+ * @returns {Promise<Object[]>} The threads that are kept.
+ */
+const applyLanguagePolicy = async (threads, folder, { translator = geminiService } = {}) => {
+  const target = normalizeLanguageCode(config.languages.target);
+  const kept = [];
+  const counts = { drop: 0, translate: 0 };
+
+  for (const thread of threads) {
+    const language = getThreadLanguage(thread);
+    const action = getLanguageAction(language?.code, folder);
+    const annotated = { ...thread, language: language && { ...language, translated: false } };
+
+    if (action === "drop") {
+      logger.info(`Dropped ${thread.url}: written in ${getLanguageName(language.code)}, policy "drop"`);
+      counts.drop++;
+      continue;
+    }
+    if (action === "translate") {
+      const tweets = await translator.translateTweets(thread.tweets || [], language.code, target);
+      if (tweets) {
+        annotated.tweets = tweets;
+        annotated.language.translated = true;
+        counts.translate++;
+      } else {
+        logger.warn(`Keeping ${thread.url} untranslated (${getLanguageName(language.code)})`);
+      }
+    }
+    kept.push(annotated);
+  }
+
+  if (counts.drop > 0 || counts.translate > 0) {
+    logger.info(
+      `Language policy for ${folder.name}: dropped ${counts.drop} and translated ${counts.translate} of ${threads.length} threads`
+    );
+  }
+  return kept;
+};
+
+module.exports = {
+  getLanguageAction,
+  applyLanguagePolicy,
+};
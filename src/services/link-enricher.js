@@ -0,0 +1,242 @@
+const axios = require("axios");
+const config = require("../../config");
+const { extractPageMetadata } = require("../sources/html");
+const { logger, isOlderThan, JsonFileStore } = require("../utils/helpers");
+const { assertPublicUrl, publicLookup } = require("../utils/url-safety");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Failed lookups are retried sooner than successful ones are refreshed
+const FAILURE_MAX_AGE_MS = DAY_MS;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Links to a tweet's own photo or video viewer add nothing to a resource list
+const X_MEDIA_PATH = /^\/[^/]+\/status\/\d+\/(photo|video)\/\d+/;
+const X_HOSTS = new Set(["x.com", "twitter.com", "mobile.twitter.com", "mobile.x.com"]);
+
+const bareHost = (hostname) => hostname.replace(/^www\./, "").toLowerCase();
+
+const truncate = (text, maxLength) =>
+  text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text;
+
+/**
+ * Resolves the links found in collected threads to their final URLs and
+ * reads each page's title, description and canonical URL, so generation
+ * works from what a link actually is instead of an opaque t.co or
+ * shortener URL. Lookups are cached on disk by original URL.
+ *
+ * The HTTP client is pluggable: anything with an axios-style
+ * `get(url, options)` resolving to `{ status, headers, data }` (header
+ * names lower-case) works. Redirects are followed by the enricher itself,
+ * so the client must not follow them. Links come from untrusted posts, so
+ * the first URL and every redirect target must be on the public internet.
+ */
+class LinkEnricher extends JsonFileStore {
+  constructor({
+    httpClient = axios,
+    settings = config.linkEnrichment,
+    cachePath = config.storage.linkCachePath,
+    assertUrl = assertPublicUrl,
+  } = {}) {
+    super(cachePath, "LinkEnricher");
+    this.httpClient = httpClient;
+    this.assertUrl = assertUrl;
+    this.settings = settings;
+    this.maxAgeMs = settings.cacheMaxAgeDays * DAY_MS;
+    this.trackingParams = new Set(settings.trackingParams.map((param) => param.toLowerCase()));
+  }
+
+  isExpired(entry, now) {
+    return isOlderThan(entry.fetchedAt, entry.ok ? this.maxAgeMs : FAILURE_MAX_AGE_MS, now);
+  }
+
+  /**
+   * Removes utm_* and the configured tracking parameters from a URL.
+   * Returns the input unchanged when it is not a valid absolute URL.
+   */
+  stripTracking(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return url;
+    }
+    for (const key of Array.from(parsed.searchParams.keys())) {
+      const name = key.toLowerCase();
+      if (name.startsWith("utm_") || this.trackingParams.has(name)) {
+        parsed.searchParams.delete(key);
+      }
+    }
+    return parsed.toString();
+  }
+
+  /**
+   * Follows HTTP and meta-refresh redirects from `url`.
+   * @returns {Promise<{status: number, resolvedUrl: string, contentType: string, metadata: Object}>}
+   * @throws {Error} On network errors, too many redirects, or a hop to a
+   *   private or loopback address.
+   */
+  async resolve(url) {
+    const { timeout, maxRedirects, maxBytes, userAgent } = this.settings;
+    let current = url;
+
+    for (let hop = 0; hop <= maxRedirects; hop++) {
+      await this.assertUrl(current);
+      const response = await this.httpClient.get(current, {
+        headers: {
+          "User-Agent": userAgent,
+          Accept: "text/html,application/xhtml+xml;q=0.9,*/*;q=0.8",
+        },
+        timeout,
+        maxRedirects: 0,
+        maxContentLength: maxBytes,
+        responseType: "text",
+        validateStatus: () => true,
+        lookup: publicLookup,
+      });
+
+      const headers = response.headers || {};
+      if (response.status >= 300 && response.status < 400 && headers.location) {
+        current = new URL(headers.location, current).toString();
+        continue;
+      }
+
+      const contentType = String(headers["content-type"] || "");
+      const metadata = /html/i.test(contentType) ? extractPageMetadata(response.data) : {};
+      if (metadata.refreshUrl && response.status < 400) {
+        current = new URL(metadata.refreshUrl, current).toString();
+        continue;
+      }
+
+      return { status: response.status, resolvedUrl: current, contentType, metadata };
+    }
+
+    throw new Error(`More than ${maxRedirects} redirects`);
+  }
+
+  /**
+   * Resolves one link, from the cache when possible.
+   * @returns {Promise<Object>} `{ url, resolvedUrl, title, description,
+   *   siteName, status, ok, fetchedAt }`; failed lookups have `ok: false` and
+   *   an `error`, and keep the original URL minus tracking parameters.
+   */
+  async enrichLink(url) {
+    const cached = this.load().get(url);
+    if (cached) return cached;
+
+    let entry;
+    try {
+      const { status, resolvedUrl, contentType, metadata } = await this.resolve(url);
+      const finalUrl = this.stripTracking(resolvedUrl);
+
+      // Some sites point every page's canonical at their homepage, so only
+      // trust canonicals on the same host
+      let canonicalUrl = "";
+      try {
+        const canonical = metadata.canonicalUrl ? new URL(metadata.canonicalUrl, resolvedUrl) : null;
+        if (canonical && /^https?:$/.test(canonical.protocol) &&
+            bareHost(canonical.hostname) === bareHost(new URL(resolvedUrl).hostname)) {
+          canonicalUrl = this.stripTracking(canonical.toString());
+        }
+      } catch (error) {
+        // Malformed canonical, keep the resolved URL
+      }
+
+      entry = {
+        url: canonicalUrl || finalUrl,
+        resolvedUrl: finalUrl,
+        title: truncate(metadata.title || "", MAX_TITLE_LENGTH),
+        description: truncate(metadata.description || "", MAX_DESCRIPTION_LENGTH),
+        siteName: metadata.siteName || "",
+        contentType: contentType.split(";")[0].trim(),
+        status,
+        ok: status < 400,
+        fetchedAt: new Date().toISOString(),
+      };
+    } catch (error) {
+      logger.warn(`LinkEnricher: Could not resolve ${url}: ${error.message}`);
+      entry = {
+        url: this.stripTracking(url),
+        ok: false,
+        error: error.message,
+        fetchedAt: new Date().toISOString(),
+      };
+    }
+
+    this.load().set(url, entry);
+    return entry;
+  }
+
+  async enrichLinks(urls) {
+    const queue = Array.from(new Set(urls));
+    const results = new Map();
+    const worker = async () => {
+      while (queue.length > 0) {
+        const url = queue.shift();
+        results.set(url, await this.enrichLink(url));
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, this.settings.concurrency) }, worker));
+    return results;
+  }
+
+  applyToLinks(links = [], results) {
+    const linkDetails = [];
+    const seen = new Set();
+    for (const link of links) {
+      const entry = results.get(link) || { url: this.stripTracking(link) };
+      let parsed = null;
+      try {
+        parsed = new URL(entry.url);
+      } catch (error) {
+        // Not an absolute URL, keep it as it is
+      }
+      if (parsed && X_HOSTS.has(bareHost(parsed.hostname)) && X_MEDIA_PATH.test(parsed.pathname)) continue;
+      if (seen.has(entry.url)) continue;
+      seen.add(entry.url);
+      linkDetails.push({
+        url: entry.url,
+        title: entry.title || "",
+        description: entry.description || "",
+        siteName: entry.siteName || "",
+      });
+    }
+    return { links: linkDetails.map((detail) => detail.url), linkDetails };
+  }
+
+  /**
+   * Replaces the links of every tweet (and quoted tweet) with their resolved,
+   * deduplicated URLs and adds `linkDetails` with each page's metadata.
+   * @param {Object[]} threads - Threads as returned by content sources.
+   * @returns {Promise<Object[]>} Enriched copies; the input when disabled.
+   */
+  async enrichThreads(threads) {
+    if (!this.settings.enabled) return threads;
+
+    const urls = [];
+    for (const thread of threads) {
+      for (const tweet of thread.tweets || []) {
+        urls.push(...(tweet.links || []), ...(tweet.quoted?.links || []));
+      }
+    }
+    if (urls.length === 0) return threads;
+
+    const results = await this.enrichLinks(urls);
+    this.save();
+
+    const resolved = Array.from(results.values()).filter((entry) => entry.ok).length;
+    logger.info(`LinkEnricher: Resolved ${resolved} of ${results.size} links`);
+
+    return threads.map((thread) => ({
+      ...thread,
+      tweets: (thread.tweets || []).map((tweet) => ({
+        ...tweet,
+        ...this.applyToLinks(tweet.links, results),
+        quoted: tweet.quoted ? { ...tweet.quoted, ...this.applyToLinks(tweet.quoted.links, results) } : tweet.quoted,
+      })),
+    }));
+  }
+}
+
+module.exports = new LinkEnricher();
+module.exports.LinkEnricher = LinkEnricher;
@@ -0,0 +1,76 @@
+const crypto = require("crypto");
+const config = require("../../config");
+const { logger } = require("../utils/helpers");
+const { usesSource } = require("../sources");
+
+/**
+ * Builds the per-run scrape plan: which folders scrape each X list this run.
+ * Only folders that read from X and picked the list for this run (see
+ * TwitterService.getListsForRun) claim it, so threads are never routed to a
+ * folder that will not publish from the list. Lists claimed by more than one
+ * folder are scraped once per run and their threads routed with routeThread().
+ * @param {Object[]} folders - config.folders
+ * @param {Object} [options]
+ * @param {(folder: Object) => string[]} [options.getListsForRun] - Lists a folder scrapes this run.
+ * @param {string} [options.routing] - "balanced" or "priority".
+ * @returns {{ claimants: Map<string, string[]>, folders: Map<string, Object>, folderLists: Map<string, string[]>, routing: string }}
+ */
+const planListScrapes = (
+  folders,
+  { getListsForRun = (folder) => [...new Set(folder.lists)], routing = config.twitter.sharedListRouting } = {}
+) => {
+  const claimants = new Map();
+  const folderMap = new Map();
+  const folderLists = new Map();
+
+  for (const folder of folders) {
+    folderMap.set(folder.name, folder);
+    if (!usesSource(folder, "x") || !folder.lists || folder.lists.length === 0) continue;
+
+    const listIds = getListsForRun(folder);
+    folderLists.set(folder.name, listIds);
+    for (const listId of listIds) {
+      if (!claimants.has(listId)) claimants.set(listId, []);
+      claimants.get(listId).push(folder.name);
+    }
+  }
+
+  const shared = [...claimants].filter(([, names]) => names.length > 1);
+  for (const [listId, names] of shared) {
+    logger.info(`Run plan: list ${listId} is shared by ${names.join(", ")} (routing: ${routing})`);
+  }
+
+  return { claimants, folders: folderMap, folderLists, routing };
+};
+
+const stableBucket = (key, size) =>
+  parseInt(crypto.createHash("md5").update(String(key)).digest("hex").slice(0, 8), 16) % size;
+
+/**
+ * Decides which of the folders sharing a list receives a thread.
+ * - "priority": the folder with the highest `priority` (ties go to config order) takes every thread.
+ * - "balanced": threads are spread across the folders by a stable hash of the tweet ID,
+ *   so the same thread always lands in the same folder across runs.
+ * @param {string} tweetId - Root tweet ID of the thread.
+ * @param {string[]} folderNames - Folders scraping the list this run, in config order.
+ * @param {Object} plan - Result of planListScrapes().
+ * @returns {string} Name of the folder that gets the thread.
+ */
+const routeThread = (tweetId, folderNames, plan) => {
+  if (folderNames.length === 1) return folderNames[0];
+
+  if (plan.routing === "priority") {
+    return folderNames.reduce((best, name) => {
+      const priority = plan.folders.get(name)?.priority || 0;
+      const bestPriority = plan.folders.get(best)?.priority || 0;
+      return priority > bestPriority ? name : best;
+    });
+  }
+
+  return folderNames[stableBucket(tweetId, folderNames.length)];
+};
+
+module.exports = {
+  planListScrapes,
+  routeThread,
+};
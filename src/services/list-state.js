@@ -0,0 +1,52 @@
+const config = require("../../config");
+const { JsonFileStore } = require("../utils/helpers");
+
+/**
+ * Durable per-folder and per-list scraping state (list rotation cursors and
+ * per-list high-water marks). Kept separate from seen-tweets.json because it
+ * is small, rewritten every run and never expires.
+ */
+class ListStateStore extends JsonFileStore {
+  constructor(filePath = config.storage.listStatePath) {
+    super(filePath, "ListStateStore");
+  }
+
+  fromJson(data) {
+    return {
+      cursors: data.cursors || {},
+      highWaterMarks: data.highWaterMarks || {},
+    };
+  }
+
+  toJson(state) {
+    return state;
+  }
+
+  getCursor(folderName) {
+    return this.load().cursors[folderName] || 0;
+  }
+
+  setCursor(folderName, cursor) {
+    this.load().cursors[folderName] = cursor;
+    this.save();
+  }
+
+  /**
+   * Newest tweet a list had when it was last published from.
+   * @returns {{tweetId: string, timestamp: string, updatedAt: string}|null}
+   */
+  getHighWaterMark(listId) {
+    return this.load().highWaterMarks[listId] || null;
+  }
+
+  setHighWaterMark(listId, { tweetId, timestamp }) {
+    this.load().highWaterMarks[listId] = {
+      tweetId,
+      timestamp: timestamp || "",
+      updatedAt: new Date().toISOString(),
+    };
+    this.save();
+  }
+}
+
+module.exports = new ListStateStore();
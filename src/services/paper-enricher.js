@@ -0,0 +1,283 @@
+const axios = require("axios");
+const { XMLParser } = require("fast-xml-parser");
+const config = require("../../config");
+const { stripHtml } = require("../sources/html");
+const { logger, isOlderThan, JsonFileStore, mapLinkDetails } = require("../utils/helpers");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// id_list requests are kept well below the arXiv API's result cap
+const ARXIV_BATCH_SIZE = 20;
+const MAX_ABSTRACT_LENGTH = 1200;
+
+const ARXIV_HOSTS = /^(www\.|export\.)?(arxiv\.org|alphaxiv\.org)$/i;
+const ARXIV_ID = /^((?:\d{4}\.\d{4,5})|(?:[a-z-]+(?:\.[A-Z]{2})?\/\d{7}))(?:v\d+)?(?:\.pdf)?$/;
+const DOI = /^(10\.\d{4,9}\/[^\s?#]+)$/;
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  textNodeName: "#text",
+  isArray: (name) => ["entry", "author", "category", "link"].includes(name),
+});
+
+const asArray = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+const textOf = (value) => {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "object") return String(value["#text"] ?? "");
+  return String(value);
+};
+
+const clean = (value) => textOf(value).replace(/\s+/g, " ").trim();
+
+/**
+ * Recognises arXiv abstract, PDF and HTML pages (and alphaXiv / Hugging Face
+ * paper pages, which use arXiv IDs) and DOI links, including publisher URLs
+ * with a /doi/ path.
+ * @returns {{type: "arxiv"|"doi", id: string, key: string}|null}
+ */
+const parsePaperLink = (url) => {
+  let parsed;
+  let pathname;
+  try {
+    parsed = new URL(url);
+    pathname = decodeURIComponent(parsed.pathname);
+  } catch (error) {
+    // Malformed URLs and percent-escapes that are not UTF-8
+    return null;
+  }
+
+  const arxivPath = ARXIV_HOSTS.test(parsed.hostname)
+    ? pathname.match(/^\/(?:abs|pdf|html)\/(.+?)\/?$/)
+    : /^(www\.)?huggingface\.co$/i.test(parsed.hostname)
+      ? pathname.match(/^\/papers\/(.+?)\/?$/)
+      : null;
+  const arxivId = arxivPath?.[1].match(ARXIV_ID)?.[1];
+  if (arxivId) return { type: "arxiv", id: arxivId, key: `arxiv:${arxivId}` };
+
+  const doiPath = /^(dx\.)?doi\.org$/i.test(parsed.hostname)
+    ? pathname.slice(1)
+    : pathname.match(/\/doi\/(?:abs\/|full\/|pdf\/|epdf\/)?(10\..+)$/)?.[1];
+  const doi = doiPath?.replace(/\/$/, "").match(DOI)?.[1];
+  if (doi) return { type: "doi", id: doi, key: `doi:${doi.toLowerCase()}` };
+
+  return null;
+};
+
+const toDate = (value) => {
+  const parsed = new Date(value).getTime();
+  return Number.isFinite(parsed) ? new Date(parsed).toISOString().slice(0, 10) : "";
+};
+
+/**
+ * Parses an arXiv API Atom response into paper metadata keyed by
+ * version-less arXiv ID.
+ */
+const parseArxivFeed = (xml) => {
+  const papers = new Map();
+  for (const entry of asArray(parser.parse(xml).feed?.entry)) {
+    const idUrl = clean(entry.id);
+    // Unknown IDs come back as an error entry
+    if (!idUrl || idUrl.includes("/api/errors")) continue;
+    const id = idUrl.replace(/^https?:\/\/arxiv\.org\/abs\//, "").replace(/v\d+$/, "");
+    const primary = entry["arxiv:primary_category"]?.["@_term"];
+    const categories = asArray(entry.category).map((category) => category["@_term"]).filter(Boolean);
+
+    papers.set(id, {
+      source: "arxiv",
+      id,
+      url: `https://arxiv.org/abs/${id}`,
+      title: clean(entry.title),
+      authors: asArray(entry.author).map((author) => clean(author.name)).filter(Boolean),
+      abstract: clean(entry.summary),
+      published: toDate(textOf(entry.published)),
+      categories: primary ? [primary, ...categories.filter((c) => c !== primary)] : categories,
+      venue: "",
+      doi: clean(entry["arxiv:doi"]),
+    });
+  }
+  return papers;
+};
+
+/**
+ * Converts a Crossref /works/{doi} message into paper metadata.
+ */
+const parseCrossrefWork = (work, doi) => {
+  const dateParts = (work.published || work.issued || work.created)?.["date-parts"]?.[0] || [];
+  const [year, month = 1, day = 1] = dateParts;
+  return {
+    source: "doi",
+    id: doi,
+    url: `https://doi.org/${doi}`,
+    title: clean(asArray(work.title)[0]),
+    authors: asArray(work.author)
+      .map((author) => clean([author.given, author.family].filter(Boolean).join(" ") || author.name))
+      .filter(Boolean),
+    abstract: stripHtml(work.abstract || "").replace(/^Abstract\s*/i, ""),
+    published: year ? toDate(Date.UTC(year, month - 1, day)) : "",
+    categories: asArray(work.subject),
+    venue: clean(asArray(work["container-title"])[0]),
+    doi,
+  };
+};
+
+/**
+ * A one-line citation, e.g.
+ * `Vaswani, Shazeer, Parmar et al. (2017). "Attention Is All You Need". arXiv:1706.03762 [cs.CL]`
+ */
+const formatCitation = (paper) => {
+  const surnames = paper.authors.map((name) => name.split(" ").pop());
+  const authors =
+    surnames.length > 3 ? `${surnames.slice(0, 3).join(", ")} et al.` : surnames.join(", ") || "Unknown authors";
+  const year = paper.published ? ` (${paper.published.slice(0, 4)})` : "";
+  const where =
+    paper.source === "arxiv"
+      ? `arXiv:${paper.id}${paper.categories[0] ? ` [${paper.categories[0]}]` : ""}`
+      : [paper.venue, `doi:${paper.doi}`].filter(Boolean).join(". ");
+  return `${authors}${year}. "${paper.title}". ${where}. ${paper.url}`;
+};
+
+/**
+ * Adds a citation line under each Resources bullet that links to a paper
+ * found in the threads' `linkDetails`.
+ */
+const addPaperCitations = (markdown, threads) => {
+  const papers = new Map();
+  for (const thread of threads || []) {
+    for (const tweet of thread.tweets || []) {
+      for (const detail of [...(tweet.linkDetails || []), ...(tweet.quoted?.linkDetails || [])]) {
+        const key = parsePaperLink(detail.url)?.key;
+        if (key && detail.paper) papers.set(key, detail.paper);
+      }
+    }
+  }
+  if (!markdown || papers.size === 0) return markdown;
+
+  const lines = markdown.split("\n");
+  const output = [];
+  lines.forEach((line, index) => {
+    output.push(line);
+    if (!/^\s*•/.test(line)) return;
+    for (const [, url] of line.matchAll(/\]\((https?:\/\/[^)\s]+)\)/g)) {
+      const paper = papers.get(parsePaperLink(url)?.key);
+      if (!paper) continue;
+      const citation = `> ${formatCitation(paper)}`;
+      if (lines.slice(index + 1, index + 3).includes(citation)) return;
+      output.push("", citation);
+      if (lines[index + 1]?.trim()) output.push("");
+      return;
+    }
+  });
+  return output.join("\n");
+};
+
+/**
+ * Fetches title, authors, abstract, date and categories for arXiv and DOI
+ * links in collected threads. arXiv IDs are looked up in batches through
+ * the arXiv API and DOIs through Crossref; both base URLs come from
+ * config.papers, so tests can point them at a local server. Results are
+ * cached on disk by paper ID.
+ */
+class PaperEnricher extends JsonFileStore {
+  constructor({
+    httpClient = axios,
+    settings = config.papers,
+    cachePath = config.storage.paperCachePath,
+  } = {}) {
+    super(cachePath, "PaperEnricher");
+    this.httpClient = httpClient;
+    this.settings = settings;
+    this.maxAgeMs = settings.cacheMaxAgeDays * DAY_MS;
+  }
+
+  isExpired(entry, now) {
+    return isOlderThan(entry.fetchedAt, this.maxAgeMs, now);
+  }
+
+  remember(key, paper) {
+    this.load().set(key, { ...paper, fetchedAt: new Date().toISOString() });
+  }
+
+  async fetchArxiv(ids) {
+    const { arxivBaseUrl, timeout, userAgent } = this.settings;
+    for (let i = 0; i < ids.length; i += ARXIV_BATCH_SIZE) {
+      const batch = ids.slice(i, i + ARXIV_BATCH_SIZE);
+      try {
+        const { data } = await this.httpClient.get(`${arxivBaseUrl}/query`, {
+          params: { id_list: batch.join(","), max_results: batch.length },
+          headers: { "User-Agent": userAgent },
+          timeout,
+          responseType: "text",
+        });
+        const papers = parseArxivFeed(data);
+        for (const [id, paper] of papers) this.remember(`arxiv:${id}`, paper);
+        const missing = batch.filter((id) => !papers.has(id));
+        if (missing.length > 0) logger.warn(`PaperEnricher: arXiv has no record of ${missing.join(", ")}`);
+      } catch (error) {
+        logger.warn(`PaperEnricher: arXiv lookup failed for ${batch.join(", ")}: ${error.message}`);
+      }
+    }
+  }
+
+  async fetchDoi(doi) {
+    const { crossrefBaseUrl, timeout, userAgent, mailto } = this.settings;
+    try {
+      const { data } = await this.httpClient.get(`${crossrefBaseUrl}/works/${encodeURIComponent(doi)}`, {
+        params: mailto ? { mailto } : undefined,
+        headers: { "User-Agent": userAgent },
+        timeout,
+      });
+      if (data?.message) this.remember(`doi:${doi.toLowerCase()}`, parseCrossrefWork(data.message, doi));
+    } catch (error) {
+      logger.warn(`PaperEnricher: Crossref lookup failed for ${doi}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Attaches paper metadata to the `linkDetails` entry of every arXiv or DOI
+   * link in the threads, as `paper`.
+   * @param {Object[]} threads - Threads, usually after link enrichment.
+   * @returns {Promise<Object[]>} Annotated copies; the input when disabled or
+   *   when no paper links were found.
+   */
+  async enrichThreads(threads) {
+    if (!this.settings.enabled) return threads;
+
+    const linked = new Map();
+    for (const thread of threads) {
+      for (const tweet of thread.tweets || []) {
+        for (const link of [...(tweet.links || []), ...(tweet.quoted?.links || [])]) {
+          const paper = parsePaperLink(link);
+          if (paper) linked.set(paper.key, paper);
+        }
+      }
+    }
+    if (linked.size === 0) return threads;
+
+    const cache = this.load();
+    const pending = Array.from(linked.values())
+      .filter((paper) => !cache.has(paper.key))
+      .slice(0, this.settings.maxPerRun);
+    await this.fetchArxiv(pending.filter((paper) => paper.type === "arxiv").map((paper) => paper.id));
+    for (const paper of pending.filter((paper) => paper.type === "doi")) {
+      await this.fetchDoi(paper.id);
+    }
+    if (pending.length > 0) this.save();
+
+    const found = Array.from(linked.keys()).filter((key) => cache.has(key)).length;
+    logger.info(`PaperEnricher: Found metadata for ${found} of ${linked.size} linked papers`);
+
+    return mapLinkDetails(threads, (detail, url) => {
+      const entry = cache.get(parsePaperLink(url)?.key);
+      if (!entry) return detail;
+      const { fetchedAt, ...paper } = entry;
+      return { ...detail, paper: { ...paper, abstract: paper.abstract.slice(0, MAX_ABSTRACT_LENGTH) } };
+    });
+  }
+}
+
+module.exports = new PaperEnricher();
+module.exports.PaperEnricher = PaperEnricher;
+module.exports.parsePaperLink = parsePaperLink;
+module.exports.formatCitation = formatCitation;
+module.exports.addPaperCitations = addPaperCitations;
@@ -0,0 +1,60 @@
+const config = require("../../config");
+const { logger, isOlderThan, JsonFileStore } = require("../utils/helpers");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Durable record of tweets that have already been published into a resource
+ * file. Survives restarts so the same threads are never regenerated, and
+ * expires entries by age rather than by set size. Keys are bare tweet IDs for
+ * X and "<source>:<id>" dedup keys for other content sources.
+ */
+class SeenTweetStore extends JsonFileStore {
+  constructor(
+    filePath = config.storage.seenTweetsPath,
+    maxAgeDays = config.storage.seenTweetsMaxAgeDays
+  ) {
+    super(filePath, "SeenTweetStore");
+    this.maxAgeMs = maxAgeDays * DAY_MS;
+  }
+
+  isExpired(entry, now) {
+    return isOlderThan(entry?.recordedAt, this.maxAgeMs, now);
+  }
+
+  has(id) {
+    return !!id && this.load().has(String(id));
+  }
+
+  get(id) {
+    return this.load().get(String(id)) || null;
+  }
+
+  /**
+   * Records tweet IDs as published.
+   * @param {string[]} ids - Tweet IDs that went into the file.
+   * @param {Object} details - Where they went.
+   * @param {string} details.folder - Folder name from config.folders.
+   * @param {string} details.file - Repository path of the resource file.
+   */
+  record(ids, { folder, file }) {
+    const entries = this.load();
+    const recordedAt = new Date().toISOString();
+    let added = 0;
+
+    for (const id of ids) {
+      if (!id) continue;
+      entries.set(String(id), { folder, file, recordedAt });
+      added++;
+    }
+
+    if (added > 0) {
+      this.prune();
+      this.save();
+      logger.info(`SeenTweetStore: Recorded ${added} tweet IDs for ${file}`);
+    }
+    return added;
+  }
+}
+
+module.exports = new SeenTweetStore();
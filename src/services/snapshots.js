@@ -0,0 +1,252 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { Builder } = require("selenium-webdriver");
+const chrome = require("selenium-webdriver/chrome");
+const config = require("../../config");
+const { getActiveProfile, getChain, XPATH_PREFIX } = require("../utils/selectors");
+const { logger, loadJsonFile, saveJsonFile } = require("../utils/helpers");
+
+const PAGE_FILE = "page.html";
+const RESULTS_FILE = "results.json";
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+};
+
+// X virtualises the timeline, so the DOM at the end of a scrape only holds
+// the last screenful. Cells are collected on every scroll tick instead.
+const CAPTURE_CELLS_SCRIPT = `
+  for (const selector of arguments[0]) {
+    const cells = Array.from(document.querySelectorAll(selector));
+    if (cells.length === 0) continue;
+    return cells.map((cell) => {
+      const status = cell.querySelector('a[href*="/status/"]');
+      return { key: status ? status.getAttribute("href") : null, html: cell.outerHTML };
+    });
+  }
+  return [];
+`;
+
+// Reveals recorded cells a batch at a time as the page is scrolled to the
+// bottom, so findContent's scroll loop behaves as it does against x.com.
+const REPLAY_SCRIPT = `
+(() => {
+  const BATCH = 5;
+  const cells = Array.from(document.querySelectorAll("[data-replay-cell]"));
+  let shown = 0;
+  const reveal = () => {
+    cells.slice(shown, shown + BATCH).forEach((cell) => cell.removeAttribute("hidden"));
+    shown = Math.min(cells.length, shown + BATCH);
+  };
+  reveal();
+  window.addEventListener("scroll", () => {
+    if (window.innerHeight + window.scrollY >= document.body.scrollHeight - 200) reveal();
+  });
+})();
+`;
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]);
+
+const snapshotRoot = () => path.resolve(process.cwd(), config.twitter.snapshotDir);
+
+/**
+ * Collects the timeline cells a scrape sees and writes them, with the
+ * extracted results, to snapshots/<listId>/<recordedAt>/.
+ */
+class PageRecorder {
+  constructor({ listId, url, source, maxThreads = null }) {
+    this.listId = String(listId);
+    this.url = url;
+    this.source = source;
+    this.maxThreads = maxThreads;
+    this.recordedAt = new Date();
+    this.cells = new Map();
+    // Tweets skipped because they were already claimed or published, so a
+    // replay can skip the same ones and produce the same results
+    this.skippedIds = new Set();
+  }
+
+  async capture(driver) {
+    try {
+      const selectors = getChain("timelineCell").filter((selector) => !selector.startsWith(XPATH_PREFIX));
+      const cells = await driver.executeScript(CAPTURE_CELLS_SCRIPT, selectors);
+      for (const { key, html } of cells || []) {
+        const cellKey = key || crypto.createHash("md5").update(html).digest("hex");
+        if (!this.cells.has(cellKey)) this.cells.set(cellKey, html);
+      }
+    } catch (error) {
+      logger.warn(`Snapshot capture failed for list ${this.listId}: ${error.message}`);
+    }
+  }
+
+  skip(tweetId) {
+    this.skippedIds.add(tweetId);
+  }
+
+  renderPage() {
+    const cells = Array.from(this.cells.values())
+      .map((html) => `<div data-replay-cell hidden>${html}</div>`)
+      .join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<base href="https://x.com/">
+<title>List ${escapeHtml(this.listId)} recorded ${this.recordedAt.toISOString()}</title>
+<style>[data-testid="cellInnerDiv"] { position: static !important; transform: none !important; }</style>
+</head>
+<body>
+<main role="main"><section aria-label="Timeline: List">
+${cells}
+</section></main>
+<script>${REPLAY_SCRIPT}</script>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Writes the recorded page and results.
+   * @param {Object[]} results - What the scrape extracted from this page.
+   * @returns {string|null} The snapshot directory, or null if saving failed.
+   */
+  save(results) {
+    const stamp = this.recordedAt.toISOString().replace(/[:.]/g, "-");
+    const dir = path.join(snapshotRoot(), this.listId, stamp);
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, PAGE_FILE), this.renderPage(), "utf-8");
+      const profile = getActiveProfile();
+      saveJsonFile(path.join(dir, RESULTS_FILE), {
+        version: 1,
+        listId: this.listId,
+        source: this.source,
+        url: this.url,
+        recordedAt: this.recordedAt.toISOString(),
+        selectorProfile: { name: profile.name, version: profile.version },
+        maxThreads: this.maxThreads,
+        cellCount: this.cells.size,
+        skippedIds: Array.from(this.skippedIds),
+        results,
+      });
+      logger.info(`Recorded ${this.cells.size} timeline cells for list ${this.listId} to ${dir}`);
+      return dir;
+    } catch (error) {
+      logger.error(`Failed to save snapshot for list ${this.listId}:`, error);
+      return null;
+    }
+  }
+}
+
+/**
+ * Lists recorded snapshot directories for a list, oldest first.
+ */
+const listSnapshots = (listId) => {
+  const listDir = path.join(snapshotRoot(), String(listId));
+  if (!fs.existsSync(listDir)) return [];
+  return fs
+    .readdirSync(listDir)
+    .sort()
+    .map((entry) => path.join(listDir, entry))
+    .filter((dir) => fs.existsSync(path.join(dir, PAGE_FILE)));
+};
+
+const loadSnapshotResults = (dir) => loadJsonFile(path.join(dir, RESULTS_FILE), null);
+
+let replayServer = null;
+
+/**
+ * Serves the snapshot directory on 127.0.0.1. Started once per process.
+ * @returns {Promise<string>} Base URL of the server.
+ */
+const startReplayServer = async () => {
+  if (replayServer) return replayServer.baseUrl;
+
+  const root = snapshotRoot();
+  const server = http.createServer((req, res) => {
+    let filePath;
+    try {
+      filePath = path.join(root, decodeURIComponent(new URL(req.url, "http://127.0.0.1").pathname));
+    } catch (error) {
+      res.writeHead(400);
+      res.end();
+      return;
+    }
+    if (!filePath.startsWith(root + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, {
+      "Content-Type": CONTENT_TYPES[path.extname(filePath)] || "application/octet-stream",
+    });
+    fs.createReadStream(filePath).pipe(res);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(config.twitter.replayPort, "127.0.0.1", resolve);
+  });
+  // Never keep the process alive just for the replay server
+  server.unref();
+
+  replayServer = { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+  logger.info(`Replay server serving ${root} at ${replayServer.baseUrl}`);
+  return replayServer.baseUrl;
+};
+
+const stopReplayServer = async () => {
+  if (!replayServer) return;
+  const { server } = replayServer;
+  replayServer = null;
+  await new Promise((resolve) => server.close(() => resolve()));
+};
+
+/**
+ * Returns the replay URL of a snapshot, by default the latest one recorded
+ * for the list.
+ * @throws {Error} When the list has no recorded snapshots.
+ */
+const getReplayUrl = async (listId, snapshotDir = null) => {
+  const dir = snapshotDir ? path.resolve(snapshotDir) : listSnapshots(listId).pop();
+  if (!dir || !fs.existsSync(path.join(dir, PAGE_FILE))) {
+    throw new Error(`No recorded snapshot for list ${listId} under ${snapshotRoot()}`);
+  }
+  const relative = path.relative(snapshotRoot(), path.join(dir, PAGE_FILE));
+  if (relative.startsWith("..")) {
+    throw new Error(`Snapshot ${dir} is outside ${snapshotRoot()}`);
+  }
+  const baseUrl = await startReplayServer();
+  return `${baseUrl}/${relative.split(path.sep).map(encodeURIComponent).join("/")}`;
+};
+
+/**
+ * Starts a headless Chrome for replay. Unlike live scraping it needs no
+ * debugging browser or login, and images are not loaded so replays stay
+ * offline.
+ */
+const createReplayDriver = async () => {
+  const options = new chrome.Options().addArguments(
+    "--headless=new",
+    "--window-size=1280,2000",
+    "--blink-settings=imagesEnabled=false"
+  );
+  return new Builder().forBrowser("chrome").setChromeOptions(options).build();
+};
+
+module.exports = {
+  PAGE_FILE,
+  RESULTS_FILE,
+  PageRecorder,
+  listSnapshots,
+  loadSnapshotResults,
+  startReplayServer,
+  stopReplayServer,
+  getReplayUrl,
+  createReplayDriver,
+};
@@ -0,0 +1,40 @@
+const config = require("../../config");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Scores a thread by the engagement on its first tweet and by its age.
+ * Counts are log-scaled so a single viral thread cannot drown out the
+ * weights, and the score halves every `recencyHalfLifeHours`. Threads
+ * without metrics still rank by recency.
+ * @param {Object} thread - `{ tweets, timestamp }` as returned by findContent.
+ * @param {Object} [ranking] - Weights and half-life, see config.twitter.ranking.
+ * @param {number} [now] - Reference time in ms.
+ * @returns {number} Score; higher ranks first.
+ */
+const scoreThread = (thread, ranking = config.twitter.ranking, now = Date.now()) => {
+  const metrics = thread.tweets?.[0]?.metrics || {};
+  let engagement = 0;
+  for (const [metric, weight] of Object.entries(ranking.weights)) {
+    engagement += weight * Math.log1p(metrics[metric] || 0);
+  }
+
+  // Undated threads count as one half-life old
+  const published = Date.parse(thread.timestamp);
+  const ageHours = Number.isFinite(published)
+    ? Math.max(0, (now - published) / HOUR_MS)
+    : ranking.recencyHalfLifeHours;
+
+  return (1 + engagement) * Math.pow(0.5, ageHours / ranking.recencyHalfLifeHours);
+};
+
+/**
+ * Returns the threads sorted by score, highest first, each annotated with
+ * its `score`. Ties keep their original order.
+ */
+const rankThreads = (threads, ranking = config.twitter.ranking, now = Date.now()) =>
+  threads
+    .map((thread) => ({ ...thread, score: scoreThread(thread, ranking, now) }))
+    .sort((a, b) => b.score - a.score);
+
+module.exports = { scoreThread, rankThreads };
@@ -1,38 +1,272 @@
+const fs = require("fs");
+const path = require("path");
 const { Builder, By, Key, until } = require("selenium-webdriver");
 const chrome = require("selenium-webdriver/chrome");
 const config = require("../../config");
+const seenTweets = require("./seen-tweets");
+const listState = require("./list-state");
+const { routeThread } = require("./list-planner");
+const { anyLocated } = require("../utils/selectors");
+const { PageRecorder, getReplayUrl, createReplayDriver } = require("./snapshots");
+const {
+  startTimelineCollector,
+  drainTimelineCollector,
+  parseMetricCount,
+  toVideoDetails,
+} = require("../utils/tweet-extractor");
+const { rankThreads } = require("./thread-ranking");
+const { createScrapeFilter } = require("./content-rules");
 const { logger, sleep } = require("../utils/helpers");
 
+// Tweet IDs are time-ordered snowflakes, too large for Number
+const compareTweetIds = (a, b) => {
+  const left = BigInt(a);
+  const right = BigInt(b);
+  return left > right ? 1 : left < right ? -1 : 0;
+};
+
+// Handle from a status URL such as https://x.com/<handle>/status/<id>
+const getStatusAuthor = (url) => {
+  const parts = (url || "").split("/");
+  return parts.length < 4 ? "" : parts[3];
+};
+
+// Letters and digits of a post without its links, which X renders as
+// shortened display text, for matching a posted tweet on the profile
+const comparableText = (text) =>
+  String(text || "")
+    .replace(/(https?:\/\/)?([\w-]+\.)+[a-z]{2,}(\/\S*)?/gi, " ")
+    .replace(/[^\p{L}\p{N}]+/gu, "")
+    .toLowerCase();
+
+// Quoted tweet as { author, authorName, url, text, lang, links, images,
+// videos, videoDetails, timestamp }
+const toQuotedData = (raw, quotingUrl, rules) => {
+  if (!raw || (!raw.text && !(raw.images || []).length)) return null;
+  // Quote cards rarely link to their status; never mistake the quoting tweet's link for it
+  const url = raw.url && raw.url !== quotingUrl ? raw.url : "";
+  // Without its own status link a quoted video is only reachable through the quoting tweet
+  const videoDetails = toVideoDetails(raw.videos, url || quotingUrl);
+  return {
+    author: raw.author || getStatusAuthor(url),
+    authorName: raw.authorName || "",
+    url,
+    text: raw.text || "",
+    lang: raw.lang || "",
+    links: rules.filterLinks(raw.links),
+    images: raw.images || [],
+    videos: videoDetails.length > 0 ? [url || quotingUrl] : [],
+    videoDetails,
+    timestamp: raw.timestamp || "",
+  };
+};
+
+// Turns raw in-page data into the tweet objects findContent returns, with
+// the exclude rules of the folders it is scraped for (see createScrapeFilter)
+const toTweetData = (raw, rules = createScrapeFilter()) => {
+  if (!raw) return null;
+
+  const tweetText = raw.text || "";
+  const quoted = toQuotedData(raw.quoted, raw.url, rules);
+  const videoDetails = toVideoDetails(raw.videos, raw.url);
+
+  // Validate tweet has actual content; image-only tweets are kept for image
+  // understanding
+  if (!tweetText && !quoted && !(raw.images || []).length) {
+    logger.debug("Skipping tweet: No text or images found");
+    return null;
+  }
+
+  const tweet = {
+    text: tweetText,
+    // Language X tagged the text with, e.g. "en" or "ja"
+    lang: raw.lang || "",
+    quoted,
+    // Set from the page's "Replying to" context; thread stitching adds the
+    // previous tweet's id and url
+    replyTo: raw.replyTo?.author ? { author: raw.replyTo.author, id: null, url: null } : null,
+    links: rules.filterLinks(raw.links),
+    images: raw.images || [],
+    // Videos are linked through the tweet itself; see videoDetails for
+    // poster frames and durations
+    videos: videoDetails.length > 0 ? [raw.url] : [],
+    videoDetails,
+    url: raw.url || "",
+    timestamp: raw.timestamp || "",
+    author: raw.author?.handle || getStatusAuthor(raw.url),
+    authorName: raw.author?.name || "",
+    authorVerified: !!raw.author?.verified,
+    metrics: {
+      replies: parseMetricCount(raw.metrics?.replies),
+      reposts: parseMetricCount(raw.metrics?.reposts),
+      likes: parseMetricCount(raw.metrics?.likes),
+      bookmarks: parseMetricCount(raw.metrics?.bookmarks),
+      views: parseMetricCount(raw.metrics?.views),
+    },
+  };
+
+  // Exclude rules apply while scraping, so dropped tweets never take a
+  // candidate slot; include rules and resolved links are checked once the
+  // folder's content is collected
+  const rule = rules.findExcludingRule(tweet);
+  if (rule) {
+    logger.info(`Dropped tweet ${tweet.url}: excluded by rule "${rule.name}"`);
+    return null;
+  }
+  return tweet;
+};
+
 class TwitterService {
-  constructor() {
+  constructor({ scrapeMode = config.twitter.scrapeMode } = {}) {
+    this.scrapeMode = scrapeMode;
     this.driver = null;
+    // Replay starts its own headless browser, which cleanup() has to quit
+    this.ownsDriver = false;
+    this.recorder = null;
+    // Logged-in account when X_HANDLE is not set, see getOwnHandle()
+    this.ownHandle = null;
     this.RATE_LIMIT_DELAY = 60000;
     this.lastRequestTime = 0;
     this.isInitialized = false;
-    this.processedTweetIds = new Set();
-    this.MAX_PROCESSED_IDS = 10000; // Prevent memory leak
+    // Tweets claimed during this process but not necessarily published yet,
+    // mapped to the time they were claimed. Published tweets live in seenTweets.
+    this.processedTweetIds = new Map();
+    this.PROCESSED_ID_MAX_AGE = 24 * 60 * 60 * 1000;
+    this.THREAD_EXPANSION_SCROLLS = 5;
+    // Profile reloads while waiting for a new post to show up
+    this.POST_VERIFY_ATTEMPTS = 4;
+    this.POST_VERIFY_DELAY = 5000;
+    this.threadExpansions = 0;
+    this.runPlan = null;
+    this.runListCache = new Map();
+    // Newest tweet and time window per list scraped this run, saved as the
+    // list's high-water mark once a folder using it publishes
+    this.pendingHighWaterMarks = new Map();
+    this.runFolderLists = new Map();
+    // Rotation cursors to save once a folder's run succeeds
+    this.pendingCursors = new Map();
+    this.lastScrape = null;
+  }
+
+  // Scopes shared-list scraping to one processAllFolders run
+  beginRun(plan) {
+    this.runPlan = plan;
+    this.runListCache = new Map();
+    this.threadExpansions = 0;
+    this.pendingHighWaterMarks = new Map();
+    this.runFolderLists = new Map();
+    this.pendingCursors = new Map();
+  }
+
+  endRun() {
+    this.runPlan = null;
+    this.runListCache = new Map();
+  }
+
+  /**
+   * Returns the threads from a list that belong to this folder. Lists shared
+   * with other folders scraping them this run are scraped once, with a quota
+   * covering every claimant, then routed per thread.
+   */
+  async getFolderListThreads(listId, folder, options) {
+    const claimants = this.runPlan?.claimants.get(listId) || [folder.name];
+    if (claimants.length <= 1) {
+      return (await this.fetchListTweets(listId, { ...options, folders: [folder] })) || [];
+    }
+
+    if (this.runListCache.has(listId)) {
+      logger.info(`Reusing this run's scrape of shared list ${listId}`);
+    } else {
+      const threads = await this.fetchListTweets(listId, {
+        ...options,
+        maxThreads: options.maxThreads * claimants.length,
+        folders: claimants.map((name) => this.runPlan.folders.get(name)).filter(Boolean),
+      });
+      this.runListCache.set(listId, threads || []);
+    }
+
+    return this.runListCache
+      .get(listId)
+      .filter((thread) => routeThread(this.getTweetId(thread.url), claimants, this.runPlan) === folder.name);
   }
 
   clearProcessedIds() {
-    // Clear old IDs if set gets too large
-    if (this.processedTweetIds.size > this.MAX_PROCESSED_IDS) {
-      logger.info("Clearing processed tweet IDs to prevent memory leak");
-      // Keep the most recent 50% of IDs to prevent immediate duplicate processing
-      const idsArray = Array.from(this.processedTweetIds);
-      const keptIds = idsArray.slice(Math.floor(idsArray.length / 2));
-      this.processedTweetIds = new Set(keptIds);
+    // Expire claims by age so unpublished tweets become eligible again
+    const cutoff = Date.now() - this.PROCESSED_ID_MAX_AGE;
+    let removed = 0;
+    for (const [id, claimedAt] of this.processedTweetIds) {
+      if (claimedAt < cutoff) {
+        this.processedTweetIds.delete(id);
+        removed++;
+      }
     }
+    if (removed > 0) {
+      logger.info(`Expired ${removed} processed tweet IDs older than 24 hours`);
+    }
+    seenTweets.prune();
   }
 
-  getSearchQuery(folder) {
+  getTweetId(url) {
+    if (!url) return null;
+    return url.split("/status/")[1]?.split(/[?/#]/)[0] || null;
+  }
+
+  // Each tweet after the first in a thread replies to the one before it
+  linkThreadReplies(tweets) {
+    return tweets.map((tweet, i) =>
+      i === 0
+        ? tweet
+        : {
+          ...tweet,
+          replyTo: {
+            author: tweets[i - 1].author,
+            id: this.getTweetId(tweets[i - 1].url),
+            url: tweets[i - 1].url,
+          },
+        }
+    );
+  }
+
+  isTweetSeen(tweetId) {
+    // Replays only honour in-process claims; the durable store changes
+    // between runs and would make them nondeterministic
+    if (this.scrapeMode === "replay") return this.processedTweetIds.has(tweetId);
+    return this.processedTweetIds.has(tweetId) || seenTweets.has(tweetId);
+  }
+
+  /**
+   * Picks the lists to scrape for a folder this run. In "rotate" mode the
+   * persisted cursor makes every list get its turn across runs; it only
+   * moves on in commitListCursor(), so retries and failed runs pick the
+   * same lists again. Folders may override the global mode with
+   * `listMode` / `listsPerRun`.
+   */
+  getListsForRun(folder) {
     if (!folder || !folder.lists || folder.lists.length === 0) {
-      throw new Error("Invalid folder provided to getSearchQuery");
+      throw new Error("Invalid folder provided to getListsForRun");
     }
-    const listIndex = Math.floor(Math.random() * folder.lists.length);
-    return {
-      listId: folder.lists[listIndex],
-      name: folder.name,
-    };
+    const lists = [...new Set(folder.lists)];
+    const mode = folder.listMode || config.twitter.listMode;
+    const listsPerRun = folder.listsPerRun || config.twitter.listsPerRun;
+
+    if (mode !== "rotate" || lists.length <= listsPerRun) {
+      return lists;
+    }
+
+    const start = listState.getCursor(folder.name) % lists.length;
+    const selected = [];
+    for (let i = 0; i < listsPerRun; i++) {
+      selected.push(lists[(start + i) % lists.length]);
+    }
+    this.pendingCursors.set(folder.name, (start + listsPerRun) % lists.length);
+    return selected;
+  }
+
+  // Moves a rotating folder on to its next lists once its run succeeded
+  commitListCursor(folderName) {
+    if (!this.pendingCursors.has(folderName)) return;
+    listState.setCursor(folderName, this.pendingCursors.get(folderName));
+    this.pendingCursors.delete(folderName);
   }
 
   async checkRateLimit() {
@@ -64,6 +298,16 @@ class TwitterService {
 
   async init() {
     try {
+      if (this.scrapeMode === "replay") {
+        if (!this.driver || !this.isInitialized) {
+          this.driver = await createReplayDriver();
+          this.ownsDriver = true;
+          this.isInitialized = true;
+          logger.info("Replay mode: started headless Chrome for recorded snapshots");
+        }
+        return;
+      }
+
       if (!this.driver || !this.isInitialized) {
         let options = new chrome.Options();
 
@@ -97,142 +341,44 @@ class TwitterService {
     }
   }
 
-  async findContent() {
+  /**
+   * Scrolls the open timeline and returns its best threads.
+   * @param {Object} [options]
+   * @param {number} [options.maxThreads=10] - Threads to keep after ranking.
+   * @param {Object} [options.since] - High-water mark `{ tweetId }`. Only
+   *   newer tweets become candidates, and scrolling also stops once a few
+   *   scrolls in a row are at or below the mark. Leaves what it saw in
+   *   `this.lastScrape`.
+   * @param {Object} [options.rules] - createScrapeFilter() for the folders
+   *   the timeline is scraped for; global rules by default.
+   */
+  async findContent({ maxThreads = 10, since = null, rules = createScrapeFilter() } = {}) {
     try {
-      const THREADS_NEEDED = 10;
+      const THREADS_NEEDED = maxThreads;
+      // Gather more candidates than needed so ranking picks the best of them
+      const CANDIDATES_NEEDED = THREADS_NEEDED * config.twitter.ranking.candidateMultiplier;
       const MAX_SCROLL_ATTEMPTS = 100;
-      const SCROLL_PAUSE = 3000; // Increased for Twitter to load content
+      // Longest wait for X to render new tweets after a scroll; recorded pages need almost none
+      const SCROLL_PAUSE = this.scrapeMode === "replay" ? 500 : 3000;
       const MAX_NO_NEW_TWEETS = 5; // Exit faster if stuck
       const INITIAL_LOAD_TIMEOUT = 30000;
       const MIN_TOTAL_WORDS = 15; // Lowered from 40 to capture link-heavy tweets
 
-      const extractTweetData = async (tweetElement, retries = 2) => {
-        if (!tweetElement) return null;
-
-        try {
-          let quotedTweetText = "";
-          try {
-            const quoteTweet = await tweetElement.findElement(
-              By.xpath('.//*[contains(@href, "/status/")]/ancestor::div[4]')
-            );
-            quotedTweetText = await quoteTweet
-              .findElement(By.css('[data-testid="tweetText"]'))
-              .getText();
-          } catch (quoteError) {
-            // Quote extraction is optional
-          }
-
-          let tweetText = "";
-          try {
-            tweetText = await tweetElement
-              .findElement(By.css('[data-testid="tweetText"]'))
-              .getText();
-          } catch (textError) {
-            // Tweet text might be missing (e.g. only image)
-          }
-
-          // Validate tweet has actual content
-          if (!tweetText && !quotedTweetText) {
-            logger.debug("Skipping tweet: No text found");
-            return null;
-          }
-
-          if (quotedTweetText) {
-            tweetText = `${tweetText}\n\nQuoted Tweet:\n${quotedTweetText}`;
-          }
-
-          // Anti-spam keyword filter
-          const spamKeywords = ["we are hiring", "hiring for", "dm me to", "join my team", "dm for", "check out my course", "buy my book"];
-          const isSpam = spamKeywords.some(keyword => tweetText.toLowerCase().includes(keyword));
-          if (isSpam) {
-            logger.debug("Skipping tweet: Detected spam/hiring keyword");
-            return null;
-          }
-
-          let links = [];
-          try {
-            const linkElements = await tweetElement.findElements(
-              By.tagName("a")
-            );
-            for (const linkElement of linkElements) {
-              const href = await linkElement.getAttribute("href");
-              if (href) {
-                const hrefLower = href.toLowerCase();
-                const isTwitterInternal = hrefLower.includes("twitter.com/") || hrefLower.includes("x.com/") || href.startsWith("/");
-                const isProfileOrHashtagOrStatus =
-                  hrefLower.includes("/status/") ||
-                  hrefLower.includes("/hashtag/") ||
-                  hrefLower.includes("/search") ||
-                  hrefLower.includes("/i/lists") ||
-                  hrefLower.includes("/home") ||
-                  hrefLower.includes("/explore") ||
-                  hrefLower.includes("/notifications") ||
-                  hrefLower.includes("/messages") ||
-                  hrefLower.includes("/settings") ||
-                  hrefLower.includes("/tos") ||
-                  hrefLower.includes("/privacy") ||
-                  hrefLower.includes("/rules");
-
-                if (hrefLower.includes("t.co") || !isTwitterInternal || (!isProfileOrHashtagOrStatus && !href.startsWith("/"))) {
-                  links.push(href);
-                }
-              }
-            }
-          } catch (e) { }
-
-          let images = [];
-          try {
-            const imageElements = await tweetElement.findElements(
-              By.css('[data-testid="tweetPhoto"] img')
-            );
-            for (const img of imageElements) {
-              images.push(await img.getAttribute("src"));
-            }
-          } catch (imageError) { }
-
-          let videos = [];
-          try {
-            const videoElements = await tweetElement.findElements(
-              By.css("video")
-            );
-            for (const video of videoElements) {
-              videos.push(await video.getAttribute("src"));
-            }
-          } catch (videoError) { }
-
-          let url = "";
-          try {
-            url = await tweetElement
-              .findElement(By.xpath('.//a[contains(@href, "/status/")]'))
-              .getAttribute("href");
-          } catch (urlError) { }
-
-          let timestamp = "";
-          try {
-            timestamp = await tweetElement
-              .findElement(By.tagName("time"))
-              .getAttribute("datetime");
-          } catch (timeError) { }
-
-          return { text: tweetText, links, images, videos, url, timestamp };
-        } catch (staleError) {
-          // Retry on stale element reference
-          if (staleError.name === "StaleElementReferenceError" && retries > 0) {
-            await sleep(500);
-            return extractTweetData(tweetElement, retries - 1);
-          }
-          return null;
-        }
-      };
-
       let collectedContent = [];
       let scrollAttempts = 0;
       let lastHeight = 0;
       let noNewTweetsCount = 0;
       let validTweetsCount = 0;
+      // Candidates are only claimed in processedTweetIds once ranking keeps them
+      const candidateIds = new Set();
       let lastSeenTweetIds = new Set();
       let sameContentCount = 0;
       const MAX_SEEN_TWEETS = 1000; // Prevent memory leak
+      let newestSeen = null;
+      let oldestSeen = "";
+      let reachedHighWaterMark = false;
+      let coveredScrolls = 0;
+      this.lastScrape = null;
 
       // Clear old processed IDs to prevent memory leak
       this.clearProcessedIds();
@@ -248,26 +394,22 @@ class TwitterService {
       }
 
       try {
-        await this.driver.wait(
-          until.elementLocated(
-            By.css(
-              '[data-testid="cellInnerDiv"] > div > div > article[data-testid="tweet"]'
-            )
-          ),
-          INITIAL_LOAD_TIMEOUT
-        );
+        await this.driver.wait(anyLocated("timelineReady"), INITIAL_LOAD_TIMEOUT);
       } catch (error) {
         logger.error("Initial tweet selector not found:", error);
         throw error;
       }
 
+      if (this.recorder) await this.recorder.capture(this.driver);
+      await startTimelineCollector(this.driver);
+
       while (
         scrollAttempts < MAX_SCROLL_ATTEMPTS &&
-        validTweetsCount < THREADS_NEEDED
+        validTweetsCount < CANDIDATES_NEEDED
       ) {
         logger.info(
           `Scroll attempt ${scrollAttempts + 1
-          }/${MAX_SCROLL_ATTEMPTS}, found ${validTweetsCount}/${THREADS_NEEDED} valid content pieces`
+          }/${MAX_SCROLL_ATTEMPTS}, found ${validTweetsCount}/${CANDIDATES_NEEDED} valid content pieces${since ? ` since tweet ${since.tweetId}` : ""}`
         );
 
         const previousValidCount = validTweetsCount;
@@ -301,55 +443,21 @@ class TwitterService {
           } catch (e) {
             logger.warn("Scroll interaction failed:", e);
           }
-
-          await sleep(3000);
         } catch (scrollError) {
           logger.warn("Scrolling failed:", scrollError);
           break;
         }
 
-        const currentHeight = await this.driver.executeScript(
-          "return document.body.scrollHeight;"
-        );
-
-        // Get FRESH tweet elements after scrolling
-        let tweetElements = [];
+        // The in-page collector buffers tweets as X renders them; drain it
+        // once rendering settles instead of sleeping a fixed time
+        let renderedTweets = [];
         try {
-          // Wait for Twitter to render new content after scroll
-          await sleep(2000);
-
-          // Get FRESH tweet elements directly from the current DOM state
-          // Using a fresh query every time is crucial because scrolling changes the DOM
-          const allTweetElements = await this.driver.findElements(
-            By.css('article[data-testid="tweet"]')
-          );
-
-          // Filter to only visible/displayed elements within the viewport
-          for (const el of allTweetElements) {
-            try {
-              if (await el.isDisplayed()) {
-                // relaxed viewport check to ensure we capture elements that are at least partially visible
-                const isInViewport = await this.driver.executeScript(`
-                  const rect = arguments[0].getBoundingClientRect();
-                  return (
-                    rect.top < (window.innerHeight || document.documentElement.clientHeight) &&
-                    rect.bottom > 0 &&
-                    rect.left < (window.innerWidth || document.documentElement.clientWidth) &&
-                    rect.right > 0
-                  );
-                `, el);
-
-                if (isInViewport) {
-                  tweetElements.push(el);
-                }
-              }
-            } catch (e) {
-              // Skip stale elements
-            }
-          }
+          const { total, tweets } = await drainTimelineCollector(this.driver, { maxWait: SCROLL_PAUSE });
+          renderedTweets = tweets;
+          if (this.recorder) await this.recorder.capture(this.driver);
 
           logger.info(
-            `Found ${tweetElements.length} visible tweet elements (${allTweetElements.length} total on page)`
+            `Collected ${renderedTweets.length} newly rendered tweets (${total} on page)`
           );
         } catch (findError) {
           logger.warn("Failed to find tweet elements:", findError);
@@ -357,26 +465,38 @@ class TwitterService {
           continue;
         }
 
+        const currentHeight = await this.driver.executeScript(
+          "return document.body.scrollHeight;"
+        );
+
         // Track which tweets we see in this scroll
         const currentTweetIds = new Set();
         let newTweetsFound = 0;
+        let coveredInScroll = 0;
+        let uncoveredInScroll = 0;
 
-        for (const tweetElement of tweetElements) {
-          if (validTweetsCount >= THREADS_NEEDED) break;
+        for (const rawTweet of renderedTweets) {
+          if (validTweetsCount >= CANDIDATES_NEEDED) break;
 
-          try {
-            // Check if element is still attached to DOM
-            let isDisplayed = false;
-            try {
-              isDisplayed = await tweetElement.isDisplayed();
-            } catch (staleError) {
-              // Element is stale, skip it
+          const rawId = this.getTweetId(rawTweet.url);
+          if (rawId) {
+            if (!newestSeen || compareTweetIds(rawId, newestSeen.tweetId) > 0) {
+              newestSeen = { tweetId: rawId, timestamp: rawTweet.timestamp || "" };
+            }
+            // Covered by the file published from the previous run
+            if (since && compareTweetIds(rawId, since.tweetId) <= 0) {
+              coveredInScroll++;
+              if (this.recorder) this.recorder.skip(rawId);
               continue;
             }
+            uncoveredInScroll++;
+            if (rawTweet.timestamp && (!oldestSeen || rawTweet.timestamp < oldestSeen)) {
+              oldestSeen = rawTweet.timestamp;
+            }
+          }
 
-            if (!isDisplayed) continue;
-
-            const initialTweetData = await extractTweetData(tweetElement);
+          try {
+            const initialTweetData = toTweetData(rawTweet, rules);
             if (!initialTweetData) continue;
 
             // Validate tweet has URL before processing
@@ -386,9 +506,7 @@ class TwitterService {
             }
 
             // Check if we've already processed this tweet
-            const tweetId = initialTweetData.url
-              .split("/status/")[1]
-              ?.split("?")[0];
+            const tweetId = this.getTweetId(initialTweetData.url);
             if (!tweetId) {
               logger.warn(
                 "Could not extract tweet ID from URL:",
@@ -405,88 +523,41 @@ class TwitterService {
               newTweetsFound++;
             }
 
-            if (this.processedTweetIds.has(tweetId)) {
+            if (candidateIds.has(tweetId)) continue;
+            if (this.isTweetSeen(tweetId)) {
+              if (this.recorder) this.recorder.skip(tweetId);
               continue;
             }
 
+            // Stitch following tweets by the same author into a thread
             const threadTweets = [initialTweetData];
-            let nextContainer = null;
+            const originalAuthor = getStatusAuthor(initialTweetData.url);
 
-            try {
-              nextContainer = await tweetElement.findElement(
-                By.xpath("./following-sibling::div")
-              );
-            } catch (nextError) { }
-
-            while (nextContainer) {
-              let nextTweet = null;
-              try {
-                nextTweet = await nextContainer.findElement(
-                  By.css('article[data-testid="tweet"]')
-                );
-              } catch (findTweetError) {
-                break;
-              }
-
-              if (!nextTweet) break;
-
-              let originalAuthor = "";
-              let nextAuthor = "";
-
-              try {
-                const originalHref = await tweetElement
-                  .findElement(By.xpath('.//a[contains(@href, "/status/")]'))
-                  .getAttribute("href");
-
-                const nextHref = await nextTweet
-                  .findElement(By.xpath('.//a[contains(@href, "/status/")]'))
-                  .getAttribute("href");
-
-                if (!originalHref || !nextHref) {
-                  break;
-                }
-
-                const originalParts = originalHref.split("/");
-                const nextParts = nextHref.split("/");
-
-                if (originalParts.length < 4 || nextParts.length < 4) {
-                  break;
-                }
-
-                originalAuthor = originalParts[3];
-                nextAuthor = nextParts[3];
-              } catch (authorError) {
-                break;
-              }
-
-              if (
-                !originalAuthor ||
-                !nextAuthor ||
-                originalAuthor !== nextAuthor
-              )
-                break;
-
-              const nextTweetData = await extractTweetData(nextTweet);
-              if (!nextTweetData?.text) break;
+            for (const sibling of rawTweet.siblings || []) {
+              const nextAuthor = getStatusAuthor(sibling.url);
+              if (!originalAuthor || !nextAuthor || originalAuthor !== nextAuthor) break;
 
-              threadTweets.push(nextTweetData);
+              const nextTweetData = toTweetData(sibling, rules);
+              if (!nextTweetData) break;
 
-              try {
-                nextContainer = await nextContainer.findElement(
-                  By.xpath("./following-sibling::div")
-                );
-              } catch (nextNextError) {
-                nextContainer = null;
-              }
+              threadTweets.push(nextTweetData);
             }
 
             let combinedText = threadTweets.reduce(
-              (acc, curr) => acc + (curr.text || ""),
+              (acc, curr) => acc + (curr.text || "") + (curr.quoted ? `\n${curr.quoted.text}` : ""),
               ""
             );
 
-            // Validate combined text is not empty
-            if (!combinedText || combinedText.trim().length === 0) {
+            const hasMediaOrLinks = threadTweets.some(
+              (t) =>
+                (t.links && t.links.length > 0) ||
+                (t.images && t.images.length > 0) ||
+                (t.videos && t.videos.length > 0) ||
+                (t.quoted && (t.quoted.links.length > 0 || t.quoted.images.length > 0))
+            );
+
+            // Validate the thread has text, or media to describe instead
+            if (combinedText.trim().length === 0 && !hasMediaOrLinks) {
               continue;
             }
 
@@ -494,19 +565,11 @@ class TwitterService {
               .split(/\s+/)
               .filter((word) => word.length > 0).length;
 
-            const hasMediaOrLinks = threadTweets.some(
-              (t) =>
-                (t.links && t.links.length > 0) ||
-                (t.images && t.images.length > 0) ||
-                (t.videos && t.videos.length > 0)
-            );
-
             if (wordCount >= MIN_TOTAL_WORDS || hasMediaOrLinks) {
-              // Mark as processed only if it meets criteria
-              this.processedTweetIds.add(tweetId);
+              candidateIds.add(tweetId);
 
               collectedContent.push({
-                tweets: threadTweets,
+                tweets: this.linkThreadReplies(threadTweets),
                 url: initialTweetData.url,
                 timestamp: initialTweetData.timestamp,
               });
@@ -524,6 +587,19 @@ class TwitterService {
           }
         }
 
+        // Everything from here down was covered by the previous run. One such
+        // scroll is not proof: old retweets carry the original tweet's ID
+        if (coveredInScroll > 0 && uncoveredInScroll === 0) {
+          coveredScrolls++;
+          if (coveredScrolls >= config.twitter.highWaterMark.confirmScrolls) {
+            logger.info(`Reached the previous run's newest tweet (${since.tweetId}), stopping...`);
+            reachedHighWaterMark = true;
+            break;
+          }
+        } else if (uncoveredInScroll > 0) {
+          coveredScrolls = 0;
+        }
+
         // Check if we found ANY new tweets (not just valid ones)
         if (newTweetsFound > 0) {
           logger.info(`Found ${newTweetsFound} NEW tweets in this scroll`);
@@ -571,8 +647,22 @@ class TwitterService {
         scrollAttempts++;
       }
 
-      logger.info(`Collected ${validTweetsCount} valid content pieces`);
-      return collectedContent;
+      // The timeline ran out below the mark before enough scrolls confirmed it
+      if (since && !reachedHighWaterMark && coveredScrolls > 0 && validTweetsCount < CANDIDATES_NEEDED) {
+        reachedHighWaterMark = true;
+      }
+
+      // Spend the thread budget on the highest-signal candidates
+      const ranked = rankThreads(collectedContent).slice(0, THREADS_NEEDED);
+      for (const thread of ranked) {
+        this.processedTweetIds.set(this.getTweetId(thread.url), Date.now());
+      }
+
+      this.lastScrape = { newest: newestSeen, oldest: oldestSeen, reachedHighWaterMark };
+      logger.info(
+        `Collected ${validTweetsCount} valid content pieces, kept the top ${ranked.length} by engagement and recency`
+      );
+      return ranked;
     } catch (error) {
       logger.error("Error in findContent:", error);
       throw error;
@@ -692,31 +782,273 @@ class TwitterService {
     }
   }
 
+  /**
+   * Scrapes the folder's lists for this run (all of them, or the next
+   * rotation window), applies a per-list thread quota and merges the results
+   * into one deduplicated batch ranked by engagement and recency, so the
+   * highest-signal threads reach Gemini's substance filter first.
+   */
   async fetchTweets(options = {}) {
+    const { folder } = options;
+
+    if (!folder) {
+      throw new Error("Folder must be provided to fetchTweets");
+    }
+
+    // The run plan already picked the folder's lists when it routed shared ones
+    const listIds = this.runPlan?.folderLists.get(folder.name) || this.getListsForRun(folder);
+    this.runFolderLists.set(folder.name, listIds);
+    const threadsPerList = folder.threadsPerList || config.twitter.threadsPerList;
+    const maxThreads = folder.maxThreadsPerFolder || config.twitter.maxThreadsPerFolder;
+    logger.info(
+      `Processing ${listIds.length}/${folder.lists.length} lists for ${folder.name} (quota ${threadsPerList} threads per list)`
+    );
+
+    const merged = new Map();
+    let lastError = null;
+    let failedLists = 0;
+
+    for (const listId of listIds) {
+      try {
+        const threads = await this.getFolderListThreads(listId, folder, { ...options, maxThreads: threadsPerList });
+        let added = 0;
+        for (const thread of threads) {
+          const tweetId = this.getTweetId(thread.url);
+          if (tweetId && !merged.has(tweetId)) {
+            merged.set(tweetId, { ...thread, listId });
+            added++;
+          }
+        }
+        logger.info(`List ${listId}: ${added} new threads (${threads.length} scraped)`);
+      } catch (error) {
+        failedLists++;
+        lastError = error;
+        logger.error(`Skipping list ${listId} for ${folder.name}: ${error.message}`);
+      }
+    }
+
+    if (failedLists === listIds.length && lastError) {
+      throw lastError;
+    }
+
+    const ranked = rankThreads(Array.from(merged.values())).slice(0, maxThreads);
+    return this.expandThreads(ranked, folder);
+  }
+
+  /**
+   * Replaces threads with their author's complete self-reply chain, read
+   * from each tweet's status page. At most threadExpansion.maxPerRun status
+   * pages are opened per processAllFolders run; threads past the cap, and
+   * threads that fail to expand, are kept as scraped.
+   */
+  async expandThreads(threads, folder) {
+    const enabled = folder?.expandThreads ?? config.twitter.threadExpansion.enabled;
+    if (!enabled || threads.length === 0) return threads;
+    if (this.scrapeMode === "replay") {
+      logger.info("Replay mode: skipping thread expansion");
+      return threads;
+    }
+
+    const results = [];
+    const includedIds = new Set();
+
+    for (const thread of threads) {
+      if (includedIds.has(this.getTweetId(thread.url))) {
+        logger.info(`Dropping ${thread.url}: already part of an expanded thread`);
+        continue;
+      }
+
+      let result = thread;
+      if (this.threadExpansions < config.twitter.threadExpansion.maxPerRun) {
+        this.threadExpansions++;
+        try {
+          result = (await this.expandThread(thread, folder)) || thread;
+        } catch (error) {
+          logger.warn(`Could not expand thread ${thread.url}: ${error.message}`);
+        }
+      }
+
+      // Two candidates from the same chain expand to the same thread
+      const ids = result.tweets.map((tweet) => this.getTweetId(tweet.url)).filter(Boolean);
+      if (ids.some((id) => includedIds.has(id))) {
+        logger.info(`Dropping ${thread.url}: already part of an expanded thread`);
+        continue;
+      }
+      for (const id of ids) {
+        includedIds.add(id);
+        this.processedTweetIds.set(id, Date.now());
+      }
+      results.push(result);
+    }
+
+    return results;
+  }
+
+  /**
+   * Opens a thread's status page and collects the run of consecutive tweets
+   * by the same author around it: earlier tweets the thread continues and
+   * later self-replies, media included.
+   * @param {Object} thread - Thread as found on the list timeline.
+   * @param {Object} [folder] - Folder whose exclude rules apply to the tweets.
+   * @returns {Promise<Object|null>} The expanded thread, or null if the page
+   *   did not add any tweets.
+   */
+  async expandThread(thread, folder = null) {
+    const { maxTweets } = config.twitter.threadExpansion;
+    const focalId = this.getTweetId(thread.url);
+    const author = (thread.tweets[0]?.author || getStatusAuthor(thread.url)).toLowerCase();
+    if (!focalId || !author) return null;
+    const rules = createScrapeFilter(folder ? [folder] : []);
+
+    await this.ensureDriverConnected();
+    await this.checkRateLimit();
+    logger.info(`Expanding thread ${thread.url}`);
+    await this.driver.get(thread.url);
+    await this.driver.wait(anyLocated("timelineReady"), 30000);
+    await startTimelineCollector(this.driver);
+
+    // Tweets on the status page in the order they rendered
+    const conversation = new Map();
+    let chain = null;
+
+    for (let i = 0; i < this.THREAD_EXPANSION_SCROLLS; i++) {
+      const { tweets } = await drainTimelineCollector(this.driver);
+      for (const raw of tweets) {
+        const id = this.getTweetId(raw.url);
+        if (id) conversation.set(id, raw);
+      }
+
+      const entries = Array.from(conversation, ([id, raw]) => ({ id, raw }));
+      const focal = entries.findIndex((entry) => entry.id === focalId);
+      if (focal === -1) break;
+
+      const byAuthor = (entry) =>
+        (entry.raw.author?.handle || getStatusAuthor(entry.raw.url)).toLowerCase() === author;
+      let start = focal;
+      while (start > 0 && byAuthor(entries[start - 1])) start--;
+      let end = focal;
+      while (end + 1 < entries.length && byAuthor(entries[end + 1])) end++;
+      chain = entries.slice(start, end + 1).slice(0, maxTweets);
+
+      // Done once another author's reply follows the chain; until then more
+      // self-replies may render further down
+      const complete = end + 1 < entries.length || chain.length >= maxTweets;
+      if (complete || tweets.length === 0) break;
+      await this.driver.executeScript("window.scrollBy(0, window.innerHeight * 2);");
+    }
+
+    if (!chain) return null;
+
+    // Earlier parts already published in another file are not repeated
+    const tweets = this.linkThreadReplies(
+      chain
+        .filter((entry) => entry.id === focalId || !seenTweets.has(entry.id))
+        .map((entry) => toTweetData(entry.raw, rules))
+        .filter(Boolean)
+    );
+    if (tweets.length <= thread.tweets.length) return null;
+
+    logger.info(`Expanded ${thread.url} from ${thread.tweets.length} to ${tweets.length} tweets`);
+    return {
+      ...thread,
+      tweets,
+      url: tweets[0].url,
+      timestamp: tweets[0].timestamp,
+      expanded: true,
+    };
+  }
+
+  /**
+   * Remembers the newest tweet a list scrape saw and the window it covered:
+   * from the previous high-water mark when scrolling reached it, otherwise
+   * from the oldest tweet scrolled past, since anything older went unseen.
+   * The newest tweet becomes the next mark even when ranking left it out,
+   * so every run stops where the previous one started.
+   */
+  trackHighWaterMark(listId, previous) {
+    const { newest, oldest, reachedHighWaterMark } = this.lastScrape || {};
+    const mark =
+      newest && (!previous || compareTweetIds(newest.tweetId, previous.tweetId) > 0) ? newest : previous;
+    this.pendingHighWaterMarks.set(listId, {
+      mark,
+      previous,
+      reachedHighWaterMark,
+      committedBy: new Set(),
+      since: (reachedHighWaterMark && previous?.timestamp) || oldest || previous?.timestamp || "",
+      until: mark?.timestamp || "",
+      // False when scrolling gave up before reaching the previous mark
+      sincePreviousRun: !!previous && reachedHighWaterMark,
+    });
+  }
+
+  /**
+   * The time window this run's X content for a folder covers, across the
+   * lists scraped for it.
+   * @returns {{since: string, until: string, sincePreviousRun: boolean}|null}
+   *   ISO timestamps, and whether every list was read back to its previous
+   *   high-water mark; null when no list was scraped for the folder.
+   */
+  getFolderWindow(folderName) {
+    const windows = (this.runFolderLists.get(folderName) || [])
+      .map((listId) => this.pendingHighWaterMarks.get(listId))
+      .filter(Boolean);
+    const since = windows.map((window) => window.since).filter(Boolean).sort()[0];
+    const until = windows.map((window) => window.until).filter(Boolean).sort().pop();
+    if (!since || !until) return null;
+    return { since, until, sincePreviousRun: windows.every((window) => window.sincePreviousRun) };
+  }
+
+  /**
+   * Saves the high-water marks of a folder's lists after it published, so
+   * the next run stops scrolling where this one started. A shared list's
+   * mark waits until every folder its threads were routed to has published.
+   */
+  commitHighWaterMarks(folderName) {
+    for (const listId of this.runFolderLists.get(folderName) || []) {
+      const entry = this.pendingHighWaterMarks.get(listId);
+      if (!entry) continue;
+      entry.committedBy.add(folderName);
+
+      const claimants = this.runPlan?.claimants.get(listId) || [folderName];
+      if (!claimants.every((name) => entry.committedBy.has(name))) continue;
+
+      if (entry.previous && !entry.reachedHighWaterMark && entry.mark !== entry.previous) {
+        logger.info(
+          `List ${listId} stopped scrolling before reaching its previous mark ${entry.previous.tweetId}; tweets in between were skipped`
+        );
+      }
+      if (entry.mark) listState.setHighWaterMark(listId, entry.mark);
+    }
+  }
+
+  async fetchListTweets(listId, options = {}) {
     const {
       maxRetries = 3,
       retryDelay = 10000,
       reinitializeOnFailure = true,
-      folder,
+      maxThreads,
+      snapshotDir = null,
+      folders = [],
     } = options;
 
-    if (!folder) {
-      throw new Error("Folder must be provided to fetchTweets");
-    }
-
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         await this.ensureDriverConnected();
-        const matched = await this.switchToTab("x.com");
-        if (!matched) {
-          logger.info("TwitterService: No matching tab found, opening a new tab...");
-          await this.driver.switchTo().newWindow("tab");
-        }
+        let listUrl;
+        if (this.scrapeMode === "replay") {
+          listUrl = await getReplayUrl(listId, snapshotDir);
+          logger.info(`Replaying list ID: ${listId} from ${listUrl}`);
+        } else {
+          const matched = await this.switchToTab("x.com");
+          if (!matched) {
+            logger.info("TwitterService: No matching tab found, opening a new tab...");
+            await this.driver.switchTo().newWindow("tab");
+          }
 
-        await this.checkRateLimit();
-        const { listId, name } = this.getSearchQuery(folder);
-        logger.info(`Processing list ID: ${listId} (Type: ${name})`);
-        const listUrl = `https://x.com/i/lists/${listId}`;
+          await this.checkRateLimit();
+          logger.info(`Processing list ID: ${listId}`);
+          listUrl = `https://x.com/i/lists/${listId}`;
+        }
 
         let navigationSuccessful = false;
         for (let i = 0; i < 3 && !navigationSuccessful; i++) {
@@ -744,8 +1076,19 @@ class TwitterService {
           return null;
         }
 
-        const tweets = await this.findContent();
-        return tweets;
+        if (this.scrapeMode === "record") {
+          this.recorder = new PageRecorder({ listId, url: listUrl, source: "fetchTweets", maxThreads });
+        }
+        try {
+          // Replays ignore high-water marks; covered tweets were recorded as skipped
+          const since = this.scrapeMode === "replay" ? null : listState.getHighWaterMark(listId);
+          const tweets = await this.findContent({ maxThreads, since, rules: createScrapeFilter(folders) });
+          if (this.recorder) this.recorder.save(tweets);
+          if (this.scrapeMode !== "replay") this.trackHighWaterMark(listId, since);
+          return tweets;
+        } finally {
+          this.recorder = null;
+        }
       } catch (error) {
         logger.error(
           `Attempt ${attempt} failed to fetch tweets: ${error.message}`
@@ -767,7 +1110,10 @@ class TwitterService {
 
   async cleanup() {
     try {
-      if (this.driver) {
+      if (this.driver && this.ownsDriver) {
+        logger.info("TwitterService: Closing replay browser");
+        await this.driver.quit();
+      } else if (this.driver) {
         logger.info("TwitterService: Releasing WebDriver control of debugging browser session");
         // Detach connection by clearing reference without calling quit() to preserve user's browser tabs
         this.driver = null;
@@ -776,6 +1122,7 @@ class TwitterService {
       logger.error("Failed to clean up:", error);
     } finally {
       this.driver = null;
+      this.ownsDriver = false;
       this.isInitialized = false;
     }
   }
@@ -796,8 +1143,32 @@ class TwitterService {
     }
   }
 
-  async postTweet(text) {
+  /**
+   * Posts a tweet, or a thread when given several parts, optionally with an
+   * image attached to the first post, then confirms publication by finding
+   * the new post on the account's profile.
+   * @param {string|string[]} content - Post text, or the text of each post in the thread.
+   * @param {Object} [options]
+   * @param {string} [options.image] - Local path of an image, e.g. a rendered slide.
+   * @param {string} [options.handle] - Posting account, when already known
+   *   from getOwnHandle().
+   * @returns {Promise<string|null>} Status URL of the first post; null when
+   *   posting failed or the post never showed up on the profile.
+   */
+  async postTweet(content, { image = null, handle = null } = {}) {
+    const parts = (Array.isArray(content) ? content : [content]).filter((part) => part && part.trim());
+    if (parts.length === 0) {
+      logger.warn("postTweet called without any text");
+      return null;
+    }
+    if (this.scrapeMode === "replay") {
+      logger.info("Replay mode: not posting tweet");
+      return null;
+    }
     try {
+      if (image && !fs.existsSync(image)) {
+        throw new Error(`Image to attach not found: ${image}`);
+      }
       await this.ensureDriverConnected();
       const matched = await this.switchToTab("x.com");
       if (!matched) {
@@ -805,31 +1176,120 @@ class TwitterService {
         await this.driver.switchTo().newWindow("tab");
       }
 
-      logger.info("Posting new tweet...");
+      logger.info(parts.length > 1 ? `Posting new ${parts.length}-part thread...` : "Posting new tweet...");
       await this.driver.get("https://x.com/compose/tweet");
+      const ownHandle = handle ? handle.replace(/^@/, "") : await this.getOwnHandle();
 
-      const tweetTextarea = await this.driver.wait(
-        until.elementLocated(By.css('div[data-testid="tweetTextarea_0"]')),
-        60000
-      );
-      await this.driver.wait(until.elementIsVisible(tweetTextarea), 60000);
-      await this.driver.wait(until.elementIsEnabled(tweetTextarea), 60000);
-      await tweetTextarea.sendKeys(text);
-      await sleep(2000);
-
-      await tweetTextarea.sendKeys(Key.chord(Key.CONTROL, Key.ENTER));
-      await sleep(2000);
-      logger.info("Enter key pressed (using Selenium)");
-      return true;
+      for (const [index, part] of parts.entries()) {
+        // Each added reply box becomes the next post in the thread
+        if (index > 0) {
+          const addButton = await this.driver.wait(anyLocated("composeAddButton"), 30000);
+          await addButton.click();
+        }
+        // The N-th post of a thread gets the N-th textarea
+        const textarea = await this.driver.wait(anyLocated("composeTextarea", { index }), 60000);
+        await this.driver.wait(until.elementIsVisible(textarea), 60000);
+        await this.driver.wait(until.elementIsEnabled(textarea), 60000);
+        await textarea.sendKeys(part);
+        await sleep(2000);
+
+        // The media button attaches to the post being edited
+        if (index === 0 && image) await this.attachImage(image);
+      }
+
+      const postedAt = Date.now();
+      await this.submitCompose();
+      logger.info("Post submitted, looking for it on the profile...");
+
+      const url = await this.findPostedStatus(ownHandle, parts[0], postedAt);
+      if (!url) {
+        throw new Error(`Post did not show up on @${ownHandle}'s profile`);
+      }
+      logger.info(`Posted ${url}`);
+      return url;
     } catch (error) {
       logger.error("Failed to post tweet:", error);
       try {
-        await this.driver.takeScreenshot().then((image) => {
-          require("fs").writeFileSync("tweet-failed.png", image, "base64");
+        await this.driver.takeScreenshot().then((screenshot) => {
+          fs.writeFileSync("tweet-failed.png", screenshot, "base64");
         });
       } catch (e) { }
-      return false;
+      return null;
+    }
+  }
+
+  // Handle of the logged-in account, from X_HANDLE or else the navigation
+  // bar of an X page, read once per process
+  async getOwnHandle() {
+    if (config.twitter.handle) return config.twitter.handle.replace(/^@/, "");
+    if (this.ownHandle) return this.ownHandle;
+    if (this.scrapeMode === "replay") throw new Error("Replay mode has no logged-in account");
+
+    await this.ensureDriverConnected();
+    if (!(await this.switchToTab("x.com"))) {
+      await this.driver.switchTo().newWindow("tab");
+      await this.driver.get("https://x.com/home");
+    }
+    const profileLink = await this.driver.wait(anyLocated("profileLink"), 30000);
+    const handle = ((await profileLink.getAttribute("href")) || "").split("/").filter(Boolean).pop();
+    if (!handle) throw new Error("Could not read the logged-in account's handle");
+    this.ownHandle = handle;
+    return handle;
+  }
+
+  async attachImage(imagePath) {
+    const fileInput = await this.driver.wait(anyLocated("composeFileInput"), 30000);
+    await fileInput.sendKeys(path.resolve(imagePath));
+    await this.driver.wait(anyLocated("composeAttachments"), 60000);
+    logger.info(`Attached ${imagePath}`);
+  }
+
+  async submitCompose() {
+    const postButton = await this.driver.wait(anyLocated("composePostButton"), 30000);
+    // Stays disabled while an attached image uploads
+    await this.driver.wait(async () => (await postButton.getAttribute("aria-disabled")) !== "true", 60000);
+    await postButton.click();
+    try {
+      await this.driver.wait(until.stalenessOf(postButton), 30000);
+    } catch (error) {
+      throw new Error("Compose dialog did not close after posting");
+    }
+  }
+
+  /**
+   * Finds a just-published post on the account's profile by its text,
+   * reloading until X lists it.
+   * @param {string} handle - Account that posted.
+   * @param {string} text - Text of the post.
+   * @param {number} postedAt - When it was submitted, in ms.
+   * @returns {Promise<string|null>} Its status URL.
+   */
+  async findPostedStatus(handle, text, postedAt) {
+    const expected = comparableText(text).slice(0, 40);
+    // Allows for the local clock running ahead of X's
+    const earliest = postedAt - 5 * 60 * 1000;
+
+    for (let attempt = 1; attempt <= this.POST_VERIFY_ATTEMPTS; attempt++) {
+      await sleep(this.POST_VERIFY_DELAY);
+      await this.driver.get(`https://x.com/${handle}`);
+      try {
+        await this.driver.wait(anyLocated("timelineReady"), 30000);
+      } catch (error) {
+        logger.warn(`Profile @${handle} did not load (attempt ${attempt}/${this.POST_VERIFY_ATTEMPTS})`);
+        continue;
+      }
+      await startTimelineCollector(this.driver);
+      const { tweets } = await drainTimelineCollector(this.driver);
+      const posted = tweets.find(
+        (raw) =>
+          getStatusAuthor(raw.url).toLowerCase() === handle.toLowerCase() &&
+          Date.parse(raw.timestamp) >= earliest &&
+          comparableText(raw.text).startsWith(expected)
+      );
+      if (posted) return posted.url;
+      logger.info(`Post not on @${handle}'s profile yet (attempt ${attempt}/${this.POST_VERIFY_ATTEMPTS})`);
     }
+    return null;
   }
 }
 
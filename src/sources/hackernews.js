@@ -0,0 +1,144 @@
+const axios = require("axios");
+const config = require("../../config");
+const { logger } = require("../utils/helpers");
+const { stripHtml, extractLinks } = require("./html");
+const { fromUnixTime } = require("./time");
+
+const STORY_BATCH_SIZE = 10;
+
+const getItem = async (id) => {
+  const { baseUrl, timeout } = config.sources.hackernews;
+  const { data } = await axios.get(`${baseUrl}/item/${id}.json`, { timeout });
+  return data;
+};
+
+const isLive = (item) => item && !item.deleted && !item.dead;
+
+/**
+ * Follows the highest-ranked reply under each top-level comment so a comment
+ * chain arrives as consecutive entries of one thread.
+ */
+const getCommentChains = async (story) => {
+  const { commentsPerStory, commentDepth } = config.sources.hackernews;
+  const chains = [];
+
+  for (const commentId of (story.kids || []).slice(0, commentsPerStory)) {
+    let nextId = commentId;
+    for (let depth = 0; nextId && depth < commentDepth; depth++) {
+      const comment = await getItem(nextId).catch(() => null);
+      if (!isLive(comment) || !comment.text) break;
+      chains.push(comment);
+      nextId = comment.kids?.[0];
+    }
+  }
+  return chains;
+};
+
+const matchesFilters = (story, settings) => {
+  if (!isLive(story) || story.type !== "story") return false;
+  if ((story.score || 0) < (settings.minScore || 0)) return false;
+
+  const keywords = settings.keywords || [];
+  if (keywords.length === 0) return true;
+  const haystack = `${story.title || ""} ${story.text || ""} ${story.url || ""}`.toLowerCase();
+  return keywords.some((keyword) => haystack.includes(keyword.toLowerCase()));
+};
+
+const itemUrl = (id) => `https://news.ycombinator.com/item?id=${id}`;
+
+/**
+ * Hacker News source (top/best stories plus their top comment chains).
+ * Folders configure it with
+ * `hackernews: { lists: ["top", "best"], keywords: [...], minScore: 100 }`.
+ * @type {import("./index").SourceAdapter}
+ */
+const hackerNewsSource = {
+  name: "hackernews",
+
+  async fetch(folder) {
+    const settings = folder.hackernews || {};
+    const { baseUrl, timeout, maxStoriesScanned, maxItems } = config.sources.hackernews;
+    const lists = settings.lists || ["top"];
+
+    const storyIds = [];
+    for (const list of lists) {
+      try {
+        const { data } = await axios.get(`${baseUrl}/${list}stories.json`, { timeout });
+        for (const id of (data || []).slice(0, maxStoriesScanned)) {
+          if (!storyIds.includes(id)) storyIds.push(id);
+        }
+      } catch (error) {
+        logger.error(`HackerNews: Failed to fetch ${list} stories: ${error.message}`);
+      }
+    }
+
+    const stories = [];
+    for (let i = 0; i < storyIds.length && stories.length < maxItems; i += STORY_BATCH_SIZE) {
+      const batch = await Promise.all(
+        storyIds.slice(i, i + STORY_BATCH_SIZE).map((id) => getItem(id).catch(() => null))
+      );
+      for (const story of batch) {
+        if (stories.length >= maxItems) break;
+        if (matchesFilters(story, settings)) {
+          story.comments = await getCommentChains(story);
+          stories.push(story);
+        }
+      }
+    }
+
+    logger.info(`HackerNews: ${stories.length} stories matched for folder ${folder.name}`);
+    return stories;
+  },
+
+  normalize(story) {
+    if (!story?.id) return null;
+
+    const key = `hackernews:${story.id}`;
+    const url = itemUrl(story.id);
+    const timestamp = fromUnixTime(story.time);
+    if (!timestamp) return null;
+    const storyText = stripHtml(story.text);
+
+    const root = {
+      id: key,
+      conversation_id: key,
+      text: [story.title, storyText, `(${story.score} points, ${story.descendants || 0} comments on Hacker News)`]
+        .filter(Boolean)
+        .join("\n\n"),
+      links: [...new Set([story.url, ...extractLinks(story.text)].filter(Boolean))],
+      images: [],
+      videos: [],
+      url,
+      timestamp,
+      author: story.by,
+    };
+
+    const comments = (story.comments || [])
+      .filter((comment) => fromUnixTime(comment.time))
+      .map((comment) => ({
+        id: `hackernews:${comment.id}`,
+        conversation_id: key,
+        text: stripHtml(comment.text),
+        links: extractLinks(comment.text),
+        images: [],
+        videos: [],
+        url: itemUrl(comment.id),
+        timestamp: fromUnixTime(comment.time),
+        author: comment.by,
+      }));
+
+    return {
+      source: "hackernews",
+      id: String(story.id),
+      url,
+      timestamp,
+      tweets: [root, ...comments],
+    };
+  },
+
+  dedupKey(item) {
+    return `hackernews:${item.id}`;
+  },
+};
+
+module.exports = { hackerNewsSource };
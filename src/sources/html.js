@@ -0,0 +1,119 @@
+// Small HTML helpers shared by adapters whose APIs return HTML fragments
+// (feed summaries, Hacker News comments, Mastodon statuses) and by link
+// enrichment, which reads page metadata.
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  "#39": "'",
+  "#x27": "'",
+  "#x2F": "/",
+};
+
+const decodeEntities = (text) =>
+  String(text || "").replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*);/gi, (match, entity) => {
+    const known = ENTITIES[entity] ?? ENTITIES[entity.toLowerCase()];
+    if (known !== undefined) return known;
+    if (entity[0] === "#") {
+      const code = entity[1].toLowerCase() === "x"
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      // fromCodePoint throws past U+10FFFF, so leave such references as written
+      return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return match;
+  });
+
+const stripHtml = (html) =>
+  decodeEntities(
+    String(html || "")
+      .replace(/<(script|style)[\s\S]*?<\/\1>/gi, "")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/?(p|div|li|blockquote|h[1-6])\b[^>]*>/gi, "\n\n")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+const collectAttribute = (html, tag, attribute) => {
+  const pattern = new RegExp(`<${tag}\\b[^>]*\\b${attribute}\\s*=\\s*["']([^"']+)["']`, "gi");
+  const values = [];
+  let match;
+  while ((match = pattern.exec(String(html || ""))) !== null) {
+    const value = decodeEntities(match[1]);
+    if (/^https?:\/\//i.test(value) && !values.includes(value)) {
+      values.push(value);
+    }
+  }
+  return values;
+};
+
+const extractLinks = (html) => collectAttribute(html, "a", "href");
+
+const parseAttributes = (tag) => {
+  const attributes = {};
+  const pattern = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? "");
+  }
+  return attributes;
+};
+
+/**
+ * Reads a page's title, description, canonical URL and site name from its
+ * <head>, preferring Open Graph tags. Also returns the target of a
+ * <meta http-equiv="refresh"> redirect, which t.co serves to browsers.
+ */
+const extractPageMetadata = (html) => {
+  const source = String(html || "");
+  const headEnd = source.search(/<\/head>/i);
+  const head = headEnd === -1 ? source.slice(0, 200000) : source.slice(0, headEnd);
+
+  const meta = {};
+  let refreshUrl = "";
+  for (const [tag] of head.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || "").toLowerCase();
+    if (key && attributes.content && !(key in meta)) meta[key] = attributes.content.trim();
+    if ((attributes["http-equiv"] || "").toLowerCase() === "refresh") {
+      refreshUrl = (attributes.content || "").match(/url\s*=\s*['"]?([^'"]+)/i)?.[1]?.trim() || "";
+    }
+  }
+
+  let canonicalUrl = "";
+  for (const [tag] of head.matchAll(/<link\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    if ((attributes.rel || "").toLowerCase().split(/\s+/).includes("canonical") && attributes.href) {
+      canonicalUrl = attributes.href;
+      break;
+    }
+  }
+
+  const title = decodeEntities(head.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i)?.[1] || "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return {
+    title: meta["og:title"] || meta["twitter:title"] || title,
+    description: meta["og:description"] || meta.description || meta["twitter:description"] || "",
+    canonicalUrl: canonicalUrl || meta["og:url"] || "",
+    siteName: meta["og:site_name"] || "",
+    refreshUrl,
+  };
+};
+
+const extractImages = (html) => collectAttribute(html, "img", "src");
+
+module.exports = {
+  decodeEntities,
+  stripHtml,
+  extractLinks,
+  extractImages,
+  extractPageMetadata,
+};
@@ -0,0 +1,134 @@
+const { logger } = require("../utils/helpers");
+const seenTweets = require("../services/seen-tweets");
+
+/**
+ * A content source adapter. Folders opt into sources by name through their
+ * `sources` array in config/index.js; folders without one use DEFAULT_SOURCES.
+ * @typedef {Object} SourceAdapter
+ * @property {string} name - Key used in a folder's `sources` array.
+ * @property {(folder: Object) => Promise<Array>} fetch - Pulls raw items for a folder.
+ * @property {(raw: *, folder: Object) => (SourceItem|null)} normalize - Maps one raw item onto the shared item schema.
+ * @property {(item: SourceItem) => string} dedupKey - Stable key used to skip items across sources and runs.
+ * @property {(item: SourceItem) => string[]} [publishedKeys] - Keys to remember once published. Defaults to the dedup key.
+ */
+
+/**
+ * The shared item schema. It is the thread shape that
+ * GeminiService.generateMarkdownFromCombined already consumes.
+ * @typedef {Object} SourceItem
+ * @property {string} source - Adapter name.
+ * @property {string} id - Source-native ID of the root post.
+ * @property {string} url - Canonical URL of the root post.
+ * @property {string} timestamp - ISO timestamp of the root post.
+ * @property {Object[]} tweets - Posts in the thread: { id, conversation_id, text, links, images, videos, url, timestamp, author },
+ *   plus `lang` (the language the source tagged the text with, e.g. "en") where the source has one.
+ *   X tweets also carry authorName, authorVerified and metrics { replies, reposts, likes, bookmarks, views },
+ *   plus `quoted` ({ author, authorName, url, text, lang, links, images, videos, timestamp } or null) and
+ *   `replyTo` ({ author, id, url } or null). Quoted tweets stay nested, so they never form their own
+ *   conversation in GeminiService.groupTweetsByConversation. X videos are listed by tweet URL in
+ *   `videos`, with `videoDetails` ({ url, poster, duration } per video, duration in seconds) on the
+ *   tweet and on quoted tweets.
+ */
+
+const DEFAULT_SOURCES = ["x"];
+const registry = new Map();
+
+const registerSource = (adapter) => {
+  for (const method of ["fetch", "normalize", "dedupKey"]) {
+    if (typeof adapter?.[method] !== "function") {
+      throw new Error(`Source adapter ${adapter?.name} is missing ${method}()`);
+    }
+  }
+  registry.set(adapter.name, adapter);
+};
+
+const getSource = (name) => registry.get(name) || null;
+
+const getFolderSourceNames = (folder) =>
+  Array.isArray(folder.sources) && folder.sources.length > 0 ? folder.sources : DEFAULT_SOURCES;
+
+// Whether a folder pulls from the named source
+const usesSource = (folder, name) => getFolderSourceNames(folder).includes(name);
+
+const getFolderSources = (folder) =>
+  getFolderSourceNames(folder)
+    .map((name) => {
+      const adapter = getSource(name);
+      if (!adapter) {
+        logger.warn(`Folder ${folder.name} references unknown source "${name}"`);
+      }
+      return adapter;
+    })
+    .filter(Boolean);
+
+const getPublishedKeys = (item) => {
+  const adapter = getSource(item.source);
+  if (!adapter) return [];
+  return adapter.publishedKeys
+    ? adapter.publishedKeys(item)
+    : [adapter.dedupKey(item)];
+};
+
+/**
+ * Fetches every source configured for a folder, normalizes the results and
+ * drops duplicates within the batch and anything already published.
+ * A failing source, or an item that fails to normalize, is logged and
+ * skipped so the rest still contribute.
+ * @param {Object} folder - Folder entry from config.folders.
+ * @returns {Promise<SourceItem[]>} Normalized, deduplicated items.
+ */
+const collectFolderContent = async (folder) => {
+  const items = [];
+  const batchKeys = new Set();
+
+  for (const adapter of getFolderSources(folder)) {
+    let rawItems = [];
+    try {
+      rawItems = (await adapter.fetch(folder)) || [];
+    } catch (error) {
+      logger.error(`Source ${adapter.name} failed for folder ${folder.name}:`, error);
+      continue;
+    }
+
+    let accepted = 0;
+    for (const raw of rawItems) {
+      let item = null;
+      try {
+        item = adapter.normalize(raw, folder);
+      } catch (error) {
+        logger.warn(`Source ${adapter.name}: skipping malformed item in folder ${folder.name}: ${error.message}`);
+        continue;
+      }
+      if (!item) continue;
+
+      const key = adapter.dedupKey(item);
+      if (!key || batchKeys.has(key)) continue;
+      batchKeys.add(key);
+
+      if (seenTweets.has(key)) {
+        const entry = seenTweets.get(key);
+        logger.info(`Skipping ${adapter.name} item ${key}: already published in ${entry.file}`);
+        continue;
+      }
+
+      items.push(item);
+      accepted++;
+    }
+
+    logger.info(
+      `Source ${adapter.name} returned ${accepted}/${rawItems.length} new items for folder ${folder.name}`
+    );
+  }
+
+  return items;
+};
+
+module.exports = {
+  DEFAULT_SOURCES,
+  registerSource,
+  getSource,
+  getFolderSources,
+  usesSource,
+  getPublishedKeys,
+  collectFolderContent,
+};
@@ -0,0 +1,142 @@
+const axios = require("axios");
+const config = require("../../config");
+const { logger } = require("../utils/helpers");
+const { stripHtml, extractLinks } = require("./html");
+
+const mastodonGet = async (path, params = {}) => {
+  const { baseUrl, accessToken, timeout } = config.sources.mastodon;
+  const { data } = await axios.get(`${baseUrl}${path}`, {
+    params,
+    timeout,
+    headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : {},
+  });
+  return data;
+};
+
+// Mention and hashtag anchors point back into the fediverse, not at resources
+const isResourceLink = (href) => !/\/tags\/|\/@[^/]+\/?$|\/users\/[^/]+\/?$/.test(href);
+
+const toTweet = (status, conversationId) => {
+  const tweet = {
+    id: `mastodon:${status.uri}`,
+    conversation_id: conversationId,
+    text: stripHtml(status.content) || stripHtml(status.spoiler_text),
+    lang: status.language || "",
+    links: extractLinks(status.content).filter(isResourceLink),
+    images: [],
+    imageAlts: {},
+    videos: [],
+    url: status.url || status.uri,
+    timestamp: status.created_at,
+    author: status.account?.acct,
+  };
+
+  for (const attachment of status.media_attachments || []) {
+    if (attachment.type === "image") {
+      tweet.images.push(attachment.url);
+      if (attachment.description) tweet.imageAlts[attachment.url] = attachment.description;
+    } else if (attachment.type === "video" || attachment.type === "gifv") {
+      tweet.videos.push(attachment.url);
+      if (attachment.preview_url) {
+        tweet.images.push(attachment.preview_url);
+        if (attachment.description) tweet.imageAlts[attachment.preview_url] = attachment.description;
+      }
+    }
+  }
+  if (status.card?.url && !tweet.links.includes(status.card.url)) {
+    tweet.links.push(status.card.url);
+  }
+  return tweet;
+};
+
+/**
+ * Rebuilds the root author's own reply chain from a status context,
+ * the Mastodon equivalent of an X thread.
+ */
+const buildSelfReplyChain = (status, context) => {
+  const root = status.in_reply_to_id && context.ancestors?.length > 0
+    ? context.ancestors[0]
+    : status;
+  const statuses = [...(context.ancestors || []), status, ...(context.descendants || [])];
+
+  const chain = [root];
+  let current = root;
+  while (current) {
+    current = statuses
+      .filter((s) => s.in_reply_to_id === current.id && s.account?.id === root.account?.id)
+      .sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at))[0];
+    if (current) chain.push(current);
+  }
+  return chain;
+};
+
+/**
+ * Mastodon source for lists and hashtag timelines (Mastodon REST API).
+ * Folders configure it with `mastodon: { lists: ["42"], hashtags: ["rustlang"] }`.
+ * List timelines need MASTODON_ACCESS_TOKEN; hashtag timelines are public.
+ * @type {import("./index").SourceAdapter}
+ */
+const mastodonSource = {
+  name: "mastodon",
+
+  async fetch(folder) {
+    const settings = folder.mastodon || {};
+    const { maxItems, pageSize } = config.sources.mastodon;
+    const timelines = [
+      ...(settings.lists || []).map((id) => `/api/v1/timelines/list/${encodeURIComponent(id)}`),
+      ...(settings.hashtags || []).map((tag) => `/api/v1/timelines/tag/${encodeURIComponent(tag.replace(/^#/, ""))}`),
+    ];
+
+    const statuses = [];
+    for (const timeline of timelines) {
+      try {
+        const data = await mastodonGet(timeline, { limit: pageSize });
+        for (const entry of data || []) {
+          const status = entry.reblog || entry;
+          if (!statuses.some((s) => s.uri === status.uri)) statuses.push(status);
+        }
+      } catch (error) {
+        logger.error(`Mastodon: Failed to fetch ${timeline}: ${error.message}`);
+      }
+    }
+
+    const chains = [];
+    const rootUris = new Set();
+    for (const status of statuses) {
+      if (chains.length >= maxItems) break;
+      try {
+        const context = await mastodonGet(`/api/v1/statuses/${status.id}/context`);
+        const chain = buildSelfReplyChain(status, context);
+        if (rootUris.has(chain[0].uri)) continue;
+        rootUris.add(chain[0].uri);
+        chains.push(chain);
+      } catch (error) {
+        logger.warn(`Mastodon: Failed to load context for ${status.uri}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Mastodon: ${chains.length} threads collected for folder ${folder.name}`);
+    return chains;
+  },
+
+  normalize(chain) {
+    const root = chain?.[0];
+    if (!root?.uri) return null;
+
+    const key = `mastodon:${root.uri}`;
+    const tweets = chain.map((status) => toTweet(status, key));
+    return {
+      source: "mastodon",
+      id: root.uri,
+      url: tweets[0].url,
+      timestamp: tweets[0].timestamp,
+      tweets,
+    };
+  },
+
+  dedupKey(item) {
+    return `mastodon:${item.id}`;
+  },
+};
+
+module.exports = { mastodonSource };
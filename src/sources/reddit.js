@@ -0,0 +1,157 @@
+const axios = require("axios");
+const config = require("../../config");
+const { logger } = require("../utils/helpers");
+const { decodeEntities } = require("./html");
+const { fromUnixTime } = require("./time");
+
+const redditGet = async (path, params = {}) => {
+  const { baseUrl, timeout, userAgent } = config.sources.reddit;
+  const { data } = await axios.get(`${baseUrl}${path}`, {
+    params: { raw_json: 1, ...params },
+    timeout,
+    headers: { "User-Agent": userAgent },
+  });
+  return data;
+};
+
+const REDDIT_URL = "https://www.reddit.com";
+const LINK_PATTERN = /https?:\/\/[^\s<>()\]]+/g;
+
+const extractTextLinks = (text) => [...new Set(String(text || "").match(LINK_PATTERN) || [])];
+
+/**
+ * Follows the top reply under each top-level comment so a comment chain
+ * arrives as consecutive entries of one thread.
+ */
+const flattenCommentChains = (listing) => {
+  const { commentsPerPost, commentDepth } = config.sources.reddit;
+  const chains = [];
+
+  const topLevel = (listing?.data?.children || []).filter((child) => child.kind === "t1");
+  for (const child of topLevel.slice(0, commentsPerPost)) {
+    let node = child;
+    for (let depth = 0; node?.kind === "t1" && depth < commentDepth; depth++) {
+      const comment = node.data;
+      if (!comment.body || comment.body === "[deleted]" || comment.body === "[removed]") break;
+      chains.push(comment);
+      node = comment.replies?.data?.children?.find((reply) => reply.kind === "t1");
+    }
+  }
+  return chains;
+};
+
+const pickPostImages = (post) => {
+  const images = [];
+  for (const image of post.preview?.images || []) {
+    if (image.source?.url) images.push(decodeEntities(image.source.url));
+  }
+  if (/\.(png|jpe?g|gif|webp)$/i.test(post.url || "")) images.push(post.url);
+  return [...new Set(images)];
+};
+
+/**
+ * Subreddit listing source. Folders configure it with
+ * `reddit: { subreddits: ["devops"], minScore: 50, listing: "top", time: "day" }`.
+ * @type {import("./index").SourceAdapter}
+ */
+const redditSource = {
+  name: "reddit",
+
+  async fetch(folder) {
+    const settings = folder.reddit || {};
+    const { maxPostsPerSubreddit, commentsPerPost, commentDepth } = config.sources.reddit;
+    const listing = settings.listing || "top";
+    const posts = [];
+
+    for (const subreddit of settings.subreddits || []) {
+      try {
+        const data = await redditGet(`/r/${encodeURIComponent(subreddit)}/${listing}.json`, {
+          t: settings.time || "day",
+          limit: maxPostsPerSubreddit,
+        });
+
+        const matched = (data?.data?.children || [])
+          .map((child) => child.data)
+          .filter((post) => post && !post.stickied && !post.over_18)
+          .filter((post) => (post.score || 0) >= (settings.minScore || 0));
+
+        for (const post of matched) {
+          try {
+            const [, comments] = await redditGet(`/comments/${post.id}.json`, {
+              sort: "top",
+              limit: commentsPerPost,
+              depth: commentDepth,
+            });
+            post.comments = flattenCommentChains(comments);
+          } catch (error) {
+            logger.warn(`Reddit: Failed to fetch comments for ${post.id}: ${error.message}`);
+            post.comments = [];
+          }
+          posts.push(post);
+        }
+
+        logger.info(`Reddit: ${matched.length} posts matched in r/${subreddit}`);
+      } catch (error) {
+        logger.error(`Reddit: Failed to fetch r/${subreddit}: ${error.message}`);
+      }
+    }
+
+    return posts;
+  },
+
+  normalize(post) {
+    if (!post?.id) return null;
+
+    const key = `reddit:${post.id}`;
+    const url = `${REDDIT_URL}${post.permalink}`;
+    const timestamp = fromUnixTime(post.created_utc);
+    if (!timestamp) return null;
+    const externalUrl = post.is_self ? null : post.url;
+
+    const root = {
+      id: key,
+      conversation_id: key,
+      text: [
+        post.title,
+        post.selftext,
+        `(${post.score} points, ${post.num_comments || 0} comments in r/${post.subreddit})`,
+      ]
+        .filter(Boolean)
+        .join("\n\n"),
+      links: [...new Set([externalUrl, ...extractTextLinks(post.selftext)].filter(Boolean))],
+      images: pickPostImages(post),
+      videos: [],
+      url,
+      timestamp,
+      author: post.author,
+    };
+
+    const comments = (post.comments || [])
+      .filter((comment) => fromUnixTime(comment.created_utc))
+      .map((comment) => ({
+        id: `reddit:${comment.id}`,
+        conversation_id: key,
+        text: comment.body,
+        links: extractTextLinks(comment.body),
+        images: [],
+        videos: [],
+        url: `${REDDIT_URL}${comment.permalink}`,
+        timestamp: fromUnixTime(comment.created_utc),
+        author: comment.author,
+      }));
+
+    return {
+      source: "reddit",
+      id: post.id,
+      url,
+      timestamp,
+      tweets: [root, ...comments],
+    };
+  },
+
+  dedupKey(item) {
+    return `reddit:${item.id}`;
+  },
+};
+
+module.exports = { redditSource };
@@ -0,0 +1,155 @@
+const axios = require("axios");
+const { XMLParser } = require("fast-xml-parser");
+const config = require("../../config");
+const { logger } = require("../utils/helpers");
+const { stripHtml, extractLinks, extractImages } = require("./html");
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  textNodeName: "#text",
+  isArray: (name) => ["item", "entry", "link", "enclosure", "media:content", "category"].includes(name),
+});
+
+const asArray = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+// Feed fields are either plain strings or { "#text": ..., "@_type": ... } nodes
+const textOf = (value) => {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "object") return String(value["#text"] ?? "");
+  return String(value);
+};
+
+const toIsoDate = (value) => {
+  const parsed = Date.parse(textOf(value));
+  return Number.isFinite(parsed) ? new Date(parsed).toISOString() : "";
+};
+
+const pickEntryLink = (entry) => {
+  for (const link of asArray(entry.link)) {
+    if (typeof link === "string" && link.trim()) return link.trim();
+    if (link?.["@_href"] && (!link["@_rel"] || link["@_rel"] === "alternate")) {
+      return link["@_href"];
+    }
+    if (link?.["#text"]) return link["#text"].trim();
+  }
+  const guid = entry.guid;
+  if (guid && guid["@_isPermaLink"] !== "false" && /^https?:\/\//.test(textOf(guid))) {
+    return textOf(guid);
+  }
+  return "";
+};
+
+const pickEntryImages = (entry, html) => {
+  const images = [];
+  for (const enclosure of asArray(entry.enclosure)) {
+    if (String(enclosure["@_type"] || "").startsWith("image/") && enclosure["@_url"]) {
+      images.push(enclosure["@_url"]);
+    }
+  }
+  for (const media of asArray(entry["media:content"])) {
+    if (String(media["@_medium"] || media["@_type"] || "").startsWith("image") && media["@_url"]) {
+      images.push(media["@_url"]);
+    }
+  }
+  const thumbnail = asArray(entry["media:thumbnail"])[0];
+  if (thumbnail?.["@_url"]) images.push(thumbnail["@_url"]);
+  images.push(...extractImages(html));
+  return [...new Set(images)];
+};
+
+/**
+ * Parses an RSS 2.0, RSS 1.0 (RDF) or Atom document into raw entries.
+ * @param {string} xml - Feed document.
+ * @param {string} feedUrl - URL the document was fetched from.
+ * @returns {Object[]} Entries tagged with their feed title and URL.
+ */
+const parseFeed = (xml, feedUrl) => {
+  const doc = parser.parse(xml);
+  const channel = doc.rss?.channel || doc["rdf:RDF"]?.channel;
+  const feedTitle = textOf(channel?.title || doc.feed?.title);
+  const entries = doc.rss?.channel?.item || doc["rdf:RDF"]?.item || doc.feed?.entry || [];
+
+  return asArray(entries).map((entry) => ({ ...entry, feedTitle, feedUrl }));
+};
+
+/**
+ * RSS/Atom feed source. Folders list feed URLs in `feeds`.
+ * @type {import("./index").SourceAdapter}
+ */
+const rssSource = {
+  name: "rss",
+
+  async fetch(folder) {
+    const feeds = folder.feeds || [];
+    const { maxItemsPerFeed, maxAgeDays, timeout } = config.sources.rss;
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    const entries = [];
+
+    for (const feedUrl of feeds) {
+      try {
+        const response = await axios.get(feedUrl, {
+          timeout,
+          responseType: "text",
+          headers: { Accept: "application/rss+xml, application/atom+xml, application/xml, text/xml" },
+        });
+        const feedEntries = parseFeed(response.data, feedUrl)
+          .filter((entry) => {
+            const date = Date.parse(textOf(entry.pubDate || entry.published || entry.updated || entry["dc:date"]));
+            return !Number.isFinite(date) || date >= cutoff;
+          })
+          .slice(0, maxItemsPerFeed);
+
+        logger.info(`RSS: ${feedEntries.length} recent entries from ${feedUrl}`);
+        entries.push(...feedEntries);
+      } catch (error) {
+        logger.error(`RSS: Failed to fetch feed ${feedUrl}: ${error.message}`);
+      }
+    }
+
+    return entries;
+  },
+
+  normalize(entry) {
+    const url = pickEntryLink(entry);
+    const id = textOf(entry.guid || entry.id) || url;
+    if (!id) return null;
+
+    const html = textOf(entry["content:encoded"] || entry.content || entry.description || entry.summary);
+    const title = stripHtml(textOf(entry.title));
+    const summary = stripHtml(html);
+    const text = [title, summary].filter(Boolean).join("\n\n");
+    if (!text) return null;
+
+    const timestamp = toIsoDate(entry.pubDate || entry.published || entry.updated || entry["dc:date"]);
+    const author = textOf(entry.author?.name || entry.author || entry["dc:creator"]) || entry.feedTitle;
+    const links = [...new Set([url, ...extractLinks(html)].filter(Boolean))];
+    const key = `rss:${id}`;
+
+    return {
+      source: "rss",
+      id,
+      url,
+      timestamp,
+      tweets: [
+        {
+          id: key,
+          conversation_id: key,
+          text: entry.feedTitle ? `${text}\n\nSource: ${entry.feedTitle}` : text,
+          links,
+          images: pickEntryImages(entry, html),
+          videos: [],
+          url,
+          timestamp,
+          author,
+        },
+      ],
+    };
+  },
+
+  dedupKey(item) {
+    return `rss:${item.id}`;
+  },
+};
+
+module.exports = { rssSource, parseFeed };
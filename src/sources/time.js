@@ -0,0 +1,15 @@
+// Timestamp helpers shared by adapters whose APIs report Unix times
+// (Hacker News items, Reddit posts and comments).
+
+/**
+ * ISO timestamp for a Unix time in seconds, or null when the API left it
+ * out, as it does for deleted and dead items.
+ */
+const fromUnixTime = (seconds) => {
+  const date = new Date(Number(seconds) * 1000);
+  return seconds && Number.isFinite(date.getTime()) ? date.toISOString() : null;
+};
+
+module.exports = {
+  fromUnixTime,
+};
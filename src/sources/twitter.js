@@ -0,0 +1,42 @@
+/**
+ * X (Twitter) list source. Wraps a TwitterService instance so the pipeline
+ * shares one browser session between scraping and posting.
+ * @param {Object} twitterService - TwitterService instance.
+ * @returns {import("./index").SourceAdapter}
+ */
+const createTwitterSource = (twitterService) => ({
+  name: "x",
+
+  async fetch(folder) {
+    if (!folder.lists || folder.lists.length === 0) return [];
+    return (await twitterService.fetchTweets({ folder })) || [];
+  },
+
+  normalize(thread) {
+    const id = twitterService.getTweetId(thread?.url);
+    if (!id || !Array.isArray(thread.tweets)) return null;
+
+    return {
+      source: "x",
+      id,
+      url: thread.url,
+      timestamp: thread.timestamp,
+      tweets: thread.tweets.map((tweet) => ({
+        ...tweet,
+        id: twitterService.getTweetId(tweet.url),
+        conversation_id: id,
+      })),
+    };
+  },
+
+  dedupKey(item) {
+    return item.id;
+  },
+
+  // Every tweet in the thread, so continuation tweets are not re-scraped as roots
+  publishedKeys(item) {
+    return item.tweets.map((tweet) => tweet.id).filter(Boolean);
+  },
+});
+
+module.exports = { createTwitterSource };
@@ -0,0 +1,73 @@
+// github.com paths that are site pages rather than repository owners
+const RESERVED_OWNERS = new Set([
+  "about", "apps", "collections", "customer-stories", "enterprise", "events",
+  "explore", "features", "login", "marketplace", "notifications", "orgs",
+  "pricing", "search", "security", "settings", "site", "sponsors", "topics",
+  "trending",
+]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns `{ owner, repo, key }` for a github.com repository URL (including
+ * deeper paths such as /blob/ or /issues/), or null for anything else. `key`
+ * is the lower-case "owner/repo" used to look up metadata.
+ */
+const parseRepoUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  if (!/^(www\.)?github\.com$/i.test(parsed.hostname)) return null;
+
+  const [owner, rawRepo] = parsed.pathname.split("/").filter(Boolean);
+  if (!owner || !rawRepo || RESERVED_OWNERS.has(owner.toLowerCase())) return null;
+  const repo = rawRepo.replace(/\.git$/i, "");
+  if (!/^[\w.-]+$/.test(owner) || !/^[\w.-]+$/.test(repo)) return null;
+
+  return { owner, repo, key: `${owner}/${repo}`.toLowerCase() };
+};
+
+const formatCount = (count) => {
+  if (count >= 1e6) return `${(count / 1e6).toFixed(1).replace(/\.0$/, "")}M`;
+  if (count >= 1e3) return `${(count / 1e3).toFixed(1).replace(/\.0$/, "")}k`;
+  return String(count);
+};
+
+/**
+ * Whether a repository should be flagged: archived, or not pushed to for
+ * `staleAfterDays`.
+ * @returns {string|null} "archived", "stale", or null.
+ */
+const getRepoStatus = (metadata, staleAfterDays, now = Date.now()) => {
+  if (metadata.archived) return "archived";
+  const pushedAt = Date.parse(metadata.pushedAt);
+  if (Number.isFinite(pushedAt) && now - pushedAt > staleAfterDays * DAY_MS) return "stale";
+  return null;
+};
+
+/**
+ * Inline facts for a Resources bullet, e.g.
+ * "⭐ 12.3k · Python · MIT · last push 2026-09-30", followed by a warning
+ * for archived or stale repositories.
+ */
+const formatRepoFacts = (metadata, staleAfterDays, now = Date.now()) => {
+  const pushedOn = metadata.pushedAt ? metadata.pushedAt.slice(0, 10) : "";
+  const status = getRepoStatus(metadata, staleAfterDays, now);
+  const facts = [
+    `⭐ ${formatCount(metadata.stars || 0)}`,
+    metadata.language,
+    metadata.license,
+    status === "stale" ? `⚠️ no pushes since ${pushedOn}` : pushedOn && `last push ${pushedOn}`,
+    status === "archived" && "⚠️ archived",
+  ];
+  return facts.filter(Boolean).join(" · ");
+};
+
+module.exports = {
+  parseRepoUrl,
+  getRepoStatus,
+  formatRepoFacts,
+};
@@ -1,4 +1,6 @@
 const winston = require("winston");
+const fs = require("fs");
+const path = require("path");
 
 const logger = winston.createLogger({
   level: process.env.NODE_ENV === "production" ? "info" : "debug",
@@ -111,10 +113,146 @@ const createErrorResponse = (message, statusCode = 500, details = {}) => {
 
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
+/**
+ * Reads and parses a JSON state file.
+ * @param {string} filePath - Path to the JSON file.
+ * @param {*} fallback - Value returned when the file is missing or unreadable.
+ * @returns {*} The parsed JSON value, or the fallback.
+ */
+const loadJsonFile = (filePath, fallback) => {
+  try {
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    }
+  } catch (error) {
+    logger.warn(`Could not read JSON file ${filePath}: ${error.message}`);
+  }
+  return fallback;
+};
+
+/**
+ * Writes a JSON state file atomically (temp file + rename) so a crash
+ * mid-write never leaves a truncated file behind.
+ * @param {string} filePath - Path to the JSON file.
+ * @param {*} data - Value to serialize.
+ */
+const saveJsonFile = (filePath, data) => {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), "utf-8");
+  fs.renameSync(tempPath, filePath);
+};
+
+/**
+ * Whether an ISO timestamp is missing, unparseable or older than `maxAgeMs`.
+ */
+const isOlderThan = (timestamp, maxAgeMs, now = Date.now()) => {
+  const time = Date.parse(timestamp);
+  return !Number.isFinite(time) || now - time > maxAgeMs;
+};
+
+/**
+ * A JSON state file in the working directory, read on first use and written
+ * back with saveJsonFile(). By default the state is the file's `entries` as a
+ * Map, and entries isExpired() accepts are dropped on load and by prune();
+ * stores with another shape override fromJson() and toJson().
+ */
+class JsonFileStore {
+  /**
+   * @param {string} filePath - Path to the JSON file, relative to the cwd.
+   * @param {string} name - Store name used in log messages.
+   */
+  constructor(filePath, name) {
+    this.filePath = path.resolve(process.cwd(), filePath);
+    this.name = name;
+    this.state = null;
+  }
+
+  fromJson(data) {
+    return new Map(Object.entries(data.entries || {}));
+  }
+
+  toJson(state) {
+    return { entries: Object.fromEntries(state) };
+  }
+
+  isExpired() {
+    return false;
+  }
+
+  load() {
+    if (!this.state) {
+      this.state = this.fromJson(loadJsonFile(this.filePath, {}));
+      const expired = this.prune();
+      if (this.state instanceof Map) {
+        logger.info(`${this.name}: Loaded ${this.state.size} entries (${expired} expired)`);
+      }
+    }
+    return this.state;
+  }
+
+  save() {
+    try {
+      saveJsonFile(this.filePath, { version: 1, ...this.toJson(this.load()) });
+    } catch (error) {
+      logger.error(`${this.name}: Failed to save ${this.filePath}:`, error);
+    }
+  }
+
+  /**
+   * Drops expired entries.
+   * @returns {number} Number of entries removed.
+   */
+  prune(now = Date.now()) {
+    const state = this.state || this.load();
+    if (!(state instanceof Map)) return 0;
+    let removed = 0;
+    for (const [key, entry] of state) {
+      if (this.isExpired(entry, now)) {
+        state.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Rebuilds the `linkDetails` of every tweet and quoted tweet in the threads
+ * with one entry per link, each passed through `annotate(detail, url)`.
+ * Posts without links are returned as they are.
+ */
+const mapLinkDetails = (threads, annotate) => {
+  const apply = (item) => {
+    if (!item?.links?.length) return item;
+    const details = new Map((item.linkDetails || []).map((detail) => [detail.url, detail]));
+    return {
+      ...item,
+      linkDetails: item.links.map((url) => annotate(details.get(url) || { url }, url)),
+    };
+  };
+
+  return threads.map((thread) => ({
+    ...thread,
+    tweets: (thread.tweets || []).map((tweet) => ({
+      ...apply(tweet),
+      quoted: tweet.quoted ? apply(tweet.quoted) : tweet.quoted,
+    })),
+  }));
+};
+
 module.exports = Object.freeze({
   sanitizeInput,
   handleError,
   createErrorResponse,
   logger,
   sleep,
+  loadJsonFile,
+  saveJsonFile,
+  isOlderThan,
+  JsonFileStore,
+  mapLinkDetails,
 });
@@ -0,0 +1,119 @@
+// X tags tweets without detectable language with these pseudo-codes
+// (media only, hashtags only, no text, ...)
+const UNDETERMINED_CODES = new Set(["und", "zxx", "qme", "qam", "qct", "qht", "qst", "art"]);
+
+// Texts with fewer letters than this are too short to detect reliably
+const MIN_LETTERS = 20;
+// Share of letters a non-Latin script needs before it decides the language
+const MIN_SCRIPT_SHARE = 0.3;
+
+// Checked in order; kana before Han so Japanese is not mistaken for Chinese
+const SCRIPTS = [
+  { pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu, language: () => "ja", countWith: /\p{Script=Han}/gu },
+  { pattern: /\p{Script=Hangul}/gu, language: () => "ko" },
+  { pattern: /\p{Script=Han}/gu, language: () => "zh" },
+  { pattern: /\p{Script=Cyrillic}/gu, language: (text) => (/[іїєґ]/i.test(text) ? "uk" : "ru") },
+  { pattern: /\p{Script=Arabic}/gu, language: (text) => (/[پچژگ]/.test(text) ? "fa" : "ar") },
+  { pattern: /\p{Script=Hebrew}/gu, language: () => "he" },
+  { pattern: /\p{Script=Devanagari}/gu, language: () => "hi" },
+  { pattern: /\p{Script=Bengali}/gu, language: () => "bn" },
+  { pattern: /\p{Script=Tamil}/gu, language: () => "ta" },
+  { pattern: /\p{Script=Thai}/gu, language: () => "th" },
+  { pattern: /\p{Script=Greek}/gu, language: () => "el" },
+];
+
+// Frequent short words that set Latin-script languages apart
+const STOPWORDS = {
+  en: "the and is are of to in that this with for you it was have not on be we",
+  es: "el la los las de que y en es por para con una del se no lo como más",
+  fr: "le la les des est et un une du que pour dans pas sur avec ce qui au nous",
+  de: "der die das und ist nicht ein eine mit für auf den dem sich zu auch wir ich",
+  pt: "o os as de que e do da em um uma para com não por mais é são você",
+  it: "il lo gli di che e è un una per con non del della sono anche più questo",
+  nl: "de het een en van is dat niet op met voor zijn ook maar wij ik er",
+  id: "yang dan di ini itu dengan untuk tidak dari ada akan kami saya juga",
+  tr: "ve bir bu için ile çok da de ne ama gibi olan daha var",
+  pl: "i w nie się na że jest to z do jak ale co tak są",
+};
+const STOPWORD_SETS = Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words.split(" "))]);
+
+const displayNames = new Intl.DisplayNames(["en"], { type: "language" });
+
+/**
+ * English name of a language code, e.g. "Japanese" for "ja"; the code
+ * itself when it is unknown.
+ */
+const getLanguageName = (code) => {
+  try {
+    return displayNames.of(code) || code;
+  } catch (error) {
+    return code;
+  }
+};
+
+// Primary subtag in lower case ("pt-BR" -> "pt"), or "" for pseudo-codes
+const normalizeLanguageCode = (code) => {
+  const primary = String(code || "").split(/[-_]/)[0].toLowerCase();
+  return primary && !UNDETERMINED_CODES.has(primary) ? primary : "";
+};
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+/**
+ * Guesses the language of a text from its script, and for Latin-script
+ * text from its most frequent short words. Links, mentions and hashtags are
+ * ignored.
+ * @returns {string|null} An ISO 639-1 code, or null when the text is too
+ *   short or ambiguous.
+ */
+const detectLanguage = (text) => {
+  const cleaned = String(text || "")
+    .replace(/https?:\/\/\S+/g, " ")
+    .replace(/[@#][\p{L}\p{N}_]+/gu, " ");
+  const letters = countMatches(cleaned, /\p{L}/gu);
+  if (letters < MIN_LETTERS) return null;
+
+  for (const script of SCRIPTS) {
+    let count = countMatches(cleaned, script.pattern);
+    if (count === 0) continue;
+    if (script.countWith) count += countMatches(cleaned, script.countWith);
+    if (count / letters >= MIN_SCRIPT_SHARE) return script.language(cleaned);
+  }
+
+  const words = cleaned.toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = STOPWORD_SETS
+    .map(([language, stopwords]) => [language, words.filter((word) => stopwords.has(word)).length])
+    .sort((a, b) => b[1] - a[1]);
+  const [[best, bestScore], [, runnerUp]] = scores;
+  return bestScore >= 2 && bestScore > runnerUp ? best : null;
+};
+
+/**
+ * The language a thread is written in: the tag its source gave the tweets
+ * (weighted by text length) when there is one, otherwise detected from the
+ * text of its tweets.
+ * @param {Object} thread - Thread as returned by content sources.
+ * @returns {{code: string, detectedBy: "source"|"text"}|null}
+ */
+const getThreadLanguage = (thread) => {
+  const tweets = thread.tweets || [];
+  const weights = new Map();
+  for (const tweet of tweets) {
+    const code = normalizeLanguageCode(tweet.lang);
+    if (code) weights.set(code, (weights.get(code) || 0) + (tweet.text || "").length + 1);
+  }
+  if (weights.size > 0) {
+    const [code] = Array.from(weights).sort((a, b) => b[1] - a[1])[0];
+    return { code, detectedBy: "source" };
+  }
+
+  const code = detectLanguage(tweets.map((tweet) => tweet.text || "").join("\n"));
+  return code ? { code, detectedBy: "text" } : null;
+};
+
+module.exports = {
+  getLanguageName,
+  normalizeLanguageCode,
+  detectLanguage,
+  getThreadLanguage,
+};
@@ -0,0 +1,103 @@
+const fs = require("fs");
+const path = require("path");
+const { By, error: webdriverError } = require("selenium-webdriver");
+
+const XPATH_PREFIX = "xpath:";
+
+/**
+ * Loads and validates a selector profile (see config/selectors/x.json).
+ * @param {string} profilePath - Path to the profile JSON.
+ * @returns {Object} The parsed profile.
+ */
+const loadSelectorProfile = (profilePath) => {
+  const resolved = path.resolve(process.cwd(), profilePath);
+  const profile = JSON.parse(fs.readFileSync(resolved, "utf-8"));
+
+  if (!profile.fields || typeof profile.fields !== "object") {
+    throw new Error(`Selector profile ${resolved} has no fields`);
+  }
+  for (const [field, spec] of Object.entries(profile.fields)) {
+    if (!Array.isArray(spec.selectors) || spec.selectors.length === 0) {
+      throw new Error(`Selector profile ${resolved} field "${field}" has no selectors`);
+    }
+  }
+  profile.path = resolved;
+  return profile;
+};
+
+let activeProfile = null;
+
+// Loaded lazily so tools that only need loadSelectorProfile() do not pull in config
+const getActiveProfile = () => {
+  if (!activeProfile) {
+    activeProfile = loadSelectorProfile(require("../../config").twitter.selectorProfile);
+  }
+  return activeProfile;
+};
+
+const isXPath = (selector) => selector.startsWith(XPATH_PREFIX);
+
+const toBy = (selector) =>
+  isXPath(selector) ? By.xpath(selector.slice(XPATH_PREFIX.length)) : By.css(selector);
+
+// Fills {placeholders} in selectors, e.g. the index of a compose box
+const fillSelector = (selector, values) =>
+  selector.replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? String(values[key]) : placeholder));
+
+const getChain = (field, values = {}) => {
+  const spec = getActiveProfile().fields[field];
+  if (!spec) {
+    throw new Error(`Unknown selector field "${field}" in ${getActiveProfile().path}`);
+  }
+  return spec.selectors.map((selector) => fillSelector(selector, values));
+};
+
+/**
+ * Returns the first element matched by the field's fallback chain.
+ * @param {WebDriver|WebElement} scope - Driver or element to search within.
+ * @param {string} field - Field name in the profile.
+ * @param {Object} [values] - Values for {placeholders} in the selectors.
+ * @throws {NoSuchElementError} When no selector in the chain matches.
+ */
+const findFirst = async (scope, field, values) => {
+  for (const selector of getChain(field, values)) {
+    const elements = await scope.findElements(toBy(selector));
+    if (elements.length > 0) return elements[0];
+  }
+  throw new webdriverError.NoSuchElementError(`No selector resolved field "${field}"`);
+};
+
+/**
+ * Returns all elements matched by the first selector in the chain that
+ * matches anything, or an empty array.
+ */
+const findAll = async (scope, field, values) => {
+  for (const selector of getChain(field, values)) {
+    const elements = await scope.findElements(toBy(selector));
+    if (elements.length > 0) return elements;
+  }
+  return [];
+};
+
+/**
+ * Condition for driver.wait() that resolves once any selector in the chain
+ * matches, mirroring until.elementLocated() for a single locator.
+ */
+const anyLocated = (field, values) => async (driver) => {
+  for (const selector of getChain(field, values)) {
+    const elements = await driver.findElements(toBy(selector));
+    if (elements.length > 0) return elements[0];
+  }
+  return null;
+};
+
+module.exports = {
+  XPATH_PREFIX,
+  loadSelectorProfile,
+  getActiveProfile,
+  getChain,
+  toBy,
+  findFirst,
+  findAll,
+  anyLocated,
+};
@@ -0,0 +1,340 @@
+const { getActiveProfile } = require("./selectors");
+const { sleep } = require("./helpers");
+
+const COLLECTOR_POLL_INTERVAL = 250;
+
+/**
+ * Runs inside the page. Installs a MutationObserver that extracts every tweet
+ * article as soon as X renders it into the timeline, plus the tweets stacked
+ * after it in the same timeline cell (the candidates for thread stitching),
+ * and buffers the results until Node drains them. X recycles cells out of the
+ * DOM while scrolling, so extracting on insertion catches tweets that a poll
+ * between scrolls would miss.
+ *
+ * Selector chains are resolved the same way findFirst()/findAll() do. Must
+ * stay self-contained: it is serialised and injected by executeScript.
+ */
+function installTimelineCollector(chains, maxSiblings) {
+  if (window.__xTimelineCollector) return false;
+
+  const XPATH_PREFIX = "xpath:";
+  const MAX_TRACKED = 2000;
+
+  const queryAll = (scope, selector) => {
+    if (selector.startsWith(XPATH_PREFIX)) {
+      const result = document.evaluate(
+        selector.slice(XPATH_PREFIX.length),
+        scope,
+        null,
+        XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
+        null
+      );
+      const nodes = [];
+      for (let i = 0; i < result.snapshotLength; i++) nodes.push(result.snapshotItem(i));
+      return nodes;
+    }
+    return Array.from(scope.querySelectorAll(selector));
+  };
+
+  const findAll = (scope, field) => {
+    for (const selector of chains[field] || []) {
+      try {
+        const nodes = queryAll(scope, selector);
+        if (nodes.length > 0) return nodes;
+      } catch (e) {
+        // Invalid selector, try the next one in the chain
+      }
+    }
+    return [];
+  };
+
+  const findFirst = (scope, field) => findAll(scope, field)[0] || null;
+
+  const cssChain = (field) => (chains[field] || []).filter((selector) => !selector.startsWith(XPATH_PREFIX));
+  const cellSelectors = cssChain("timelineCell");
+  const tweetSelectors = cssChain("tweet");
+  const playerSelectors = cssChain("videoPlayer");
+
+  const closestMatch = (node, selectors) => {
+    const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    if (!el) return null;
+    for (const selector of selectors) {
+      const match = el.closest(selector);
+      if (match) return match;
+    }
+    return null;
+  };
+
+  const textOf = (el) => (el ? el.innerText ?? el.textContent ?? "" : "");
+  // Properties rather than attributes, matching WebElement.getAttribute()
+  const urlOf = (el, prop) => (el ? el[prop] || el.getAttribute(prop) || "" : "");
+
+  // Action buttons carry exact counts in aria-label ("1,234 Likes. Like");
+  // fall back to the abbreviated visible text ("1.2K")
+  const metricLabel = (article, field) => {
+    const el = findFirst(article, field);
+    return el ? el.getAttribute("aria-label") || textOf(el) : null;
+  };
+
+  // Display name and handle from a User-Name block; quote cards have no links
+  const userOf = (scope) => {
+    const text = textOf(findFirst(scope, "userName"));
+    return {
+      handle: (text.match(/@(\w{1,15})/) || [])[1] || "",
+      name: text.split("\n")[0].trim(),
+    };
+  };
+
+  // X tags each tweet's text with the language it detected
+  const langOf = (el) => (el && el.getAttribute("lang")) || "";
+
+  const urlsOf = (elements, prop) => elements.map((el) => urlOf(el, prop)).filter(Boolean);
+
+  // A video's src is a blob: URL that only plays in this session, so keep
+  // the poster frame and the duration, from the element once its metadata
+  // has loaded or from the player's time label ("0:42") before that
+  const videosOf = (elements) =>
+    elements.map((el) => {
+      const player = closestMatch(el, playerSelectors) || el.parentElement;
+      return {
+        src: urlOf(el, "src"),
+        poster: urlOf(el, "poster"),
+        duration: Number.isFinite(el.duration) && el.duration > 0 ? el.duration : null,
+        durationLabel: (textOf(player).match(/\b(?:\d{1,2}:)?\d{1,2}:\d{2}\b/) || [])[0] || "",
+      };
+    });
+
+  const extractQuote = (quote) => {
+    const time = findFirst(quote, "time");
+    const user = userOf(quote);
+    return {
+      author: user.handle,
+      authorName: user.name,
+      url: urlOf(findFirst(quote, "statusLink"), "href"),
+      text: textOf(findFirst(quote, "text")),
+      lang: langOf(findFirst(quote, "text")),
+      links: urlsOf(findAll(quote, "link"), "href"),
+      images: urlsOf(findAll(quote, "photo"), "src"),
+      videos: videosOf(findAll(quote, "video")),
+      timestamp: (time && time.getAttribute("datetime")) || "",
+    };
+  };
+
+  const extract = (article) => {
+    const quoteEl = findFirst(article, "quotedTweet");
+    const quote = quoteEl && quoteEl !== article ? quoteEl : null;
+    // The tweet's own elements, leaving the quote card's to `quoted`
+    const own = (field) => findAll(article, field).filter((el) => !quote || !quote.contains(el));
+    const ownFirst = (field) => own(field)[0] || null;
+
+    const time = ownFirst("time");
+    const authorLink = ownFirst("authorLink");
+    const replyContext = ownFirst("replyContext");
+    const replyHandle = replyContext
+      ? (textOf(replyContext).match(/Replying to\s+@(\w{1,15})/) || textOf(replyContext).match(/@(\w{1,15})/) || [])[1]
+      : "";
+
+    const textEl = ownFirst("text");
+    return {
+      text: textOf(textEl),
+      lang: langOf(textEl),
+      quoted: quote ? extractQuote(quote) : null,
+      replyTo: replyHandle ? { author: replyHandle } : null,
+      links: urlsOf(own("link"), "href"),
+      images: urlsOf(own("photo"), "src"),
+      videos: videosOf(own("video")),
+      url: urlOf(ownFirst("statusLink"), "href"),
+      timestamp: (time && time.getAttribute("datetime")) || "",
+      author: {
+        handle: urlOf(authorLink, "href").split("/").filter(Boolean).pop() || "",
+        name: textOf(authorLink).trim(),
+        verified: !!ownFirst("verifiedBadge"),
+      },
+      metrics: {
+        replies: metricLabel(article, "replyCount"),
+        reposts: metricLabel(article, "repostCount"),
+        likes: metricLabel(article, "likeCount"),
+        bookmarks: metricLabel(article, "bookmarkCount"),
+        views: metricLabel(article, "viewCount"),
+      },
+    };
+  };
+
+  // Equivalent of the ./following-sibling::div XPath step
+  const nextDiv = (el) => {
+    let sibling = el.nextElementSibling;
+    while (sibling && sibling.tagName !== "DIV") sibling = sibling.nextElementSibling;
+    return sibling;
+  };
+
+  // Last extraction per status URL, so unchanged re-renders are not re-buffered
+  const lastExtracted = new Map();
+  let buffer = new Map();
+
+  const collect = (article) => {
+    if (article.getClientRects().length === 0) return;
+
+    const siblings = [];
+    let container = nextDiv(article);
+    while (container && siblings.length < maxSiblings) {
+      const next = findFirst(container, "tweet");
+      if (!next) break;
+      siblings.push(extract(next));
+      container = nextDiv(container);
+    }
+
+    const data = { ...extract(article), siblings };
+    if (!data.url) return;
+
+    const json = JSON.stringify(data);
+    if (lastExtracted.get(data.url) === json) return;
+    lastExtracted.delete(data.url);
+    lastExtracted.set(data.url, json);
+    if (lastExtracted.size > MAX_TRACKED) {
+      lastExtracted.delete(lastExtracted.keys().next().value);
+    }
+    buffer.set(data.url, data);
+  };
+
+  const collectWithin = (root) => {
+    if (tweetSelectors.some((selector) => root.matches(selector))) collect(root);
+    findAll(root, "tweet").forEach(collect);
+  };
+
+  const observer = new MutationObserver((records) => {
+    const roots = new Set();
+    for (const record of records) {
+      const target = closestMatch(record.target, cellSelectors) || closestMatch(record.target, tweetSelectors);
+      if (target) roots.add(target);
+      for (const node of record.addedNodes) {
+        if (node.nodeType !== Node.ELEMENT_NODE) continue;
+        roots.add(closestMatch(node, cellSelectors) || closestMatch(node, tweetSelectors) || node);
+      }
+    }
+    roots.forEach(collectWithin);
+  });
+
+  observer.observe(document.body, {
+    childList: true,
+    subtree: true,
+    characterData: true,
+    attributes: true,
+    attributeFilter: ["hidden"],
+  });
+  collectWithin(document.body);
+
+  window.__xTimelineCollector = {
+    drain() {
+      const tweets = Array.from(buffer.values());
+      buffer = new Map();
+      return { tweets, total: findAll(document, "tweet").length };
+    },
+  };
+  return true;
+}
+
+/**
+ * Parses a video time label such as "0:42" or "1:02:03" into seconds.
+ * @returns {number|null} Seconds, or null when the label has no time.
+ */
+const parseDurationLabel = (label) => {
+  const match = String(label || "").match(/(?:(\d+):)?(\d{1,2}):(\d{2})/);
+  if (!match) return null;
+  return (parseInt(match[1] || "0") * 60 + parseInt(match[2])) * 60 + parseInt(match[3]);
+};
+
+/**
+ * Turns raw in-page video data into `{ url, poster, duration }`, where `url`
+ * is the canonical tweet URL (the only link to a video that works outside
+ * the browser) and `duration` is in seconds or null.
+ */
+const toVideoDetails = (rawVideos, tweetUrl) => {
+  const details = [];
+  for (const video of rawVideos || []) {
+    if (!video || typeof video !== "object") continue;
+    const duration = video.duration ? Math.round(video.duration) : parseDurationLabel(video.durationLabel);
+    if (!video.poster && !duration) continue;
+    details.push({ url: tweetUrl, poster: video.poster || "", duration });
+  }
+  return details;
+};
+
+/**
+ * Parses an engagement count label such as "1,234 Likes. Like", "1.2K" or
+ * "Reply". A label without a number is a count of zero.
+ * @returns {number|null} The count, or null when there was no label.
+ */
+const parseMetricCount = (label) => {
+  if (label === null || label === undefined) return null;
+  const match = String(label).replace(/,/g, "").match(/(\d+(?:\.\d+)?)\s*([KMB])?/i);
+  if (!match) return 0;
+  const multiplier = { K: 1e3, M: 1e6, B: 1e9 }[(match[2] || "").toUpperCase()] || 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+};
+
+const getChains = () => {
+  const chains = {};
+  for (const [field, spec] of Object.entries(getActiveProfile().fields)) {
+    chains[field] = spec.selectors;
+  }
+  return chains;
+};
+
+/**
+ * Installs the in-page collector unless it is already running on this page.
+ * @param {WebDriver} driver - Driver on an X timeline.
+ * @param {Object} [options]
+ * @param {number} [options.maxSiblings=25] - Cap on thread candidates per tweet.
+ * @returns {Promise<boolean>} Whether a new collector was installed.
+ */
+const startTimelineCollector = async (driver, { maxSiblings = 25 } = {}) =>
+  driver.executeScript(installTimelineCollector, getChains(), maxSiblings);
+
+/**
+ * Drains the in-page collector until X stops rendering new tweets or maxWait
+ * passes, reinstalling it if the page was reloaded.
+ * @param {WebDriver} driver - Driver on an X timeline.
+ * @param {Object} [options]
+ * @param {number} [options.maxWait=3000] - Longest time to wait for tweets.
+ * @returns {Promise<{total: number, tweets: Object[]}>} Count of tweet
+ *   articles in the DOM, and raw `{ text, lang, quoted, replyTo, links,
+ *   images, videos, url, timestamp, author, metrics, siblings }` data for tweets rendered
+ *   since the last drain. Metrics are unparsed labels, see parseMetricCount(),
+ *   and videos raw poster/duration data, see toVideoDetails().
+ */
+const drainTimelineCollector = async (driver, { maxWait = 3000 } = {}) => {
+  const collected = new Map();
+  const deadline = Date.now() + maxWait;
+  let total = 0;
+  let reinstalled = false;
+
+  while (true) {
+    const result = await driver.executeScript(
+      "return window.__xTimelineCollector ? window.__xTimelineCollector.drain() : null;"
+    );
+    if (!result) {
+      if (reinstalled) break;
+      await startTimelineCollector(driver);
+      reinstalled = true;
+      continue;
+    }
+
+    total = result.total;
+    result.tweets.forEach((tweet) => collected.set(tweet.url, tweet));
+
+    const settled = collected.size > 0 && result.tweets.length === 0;
+    if (settled || Date.now() >= deadline) break;
+    await sleep(COLLECTOR_POLL_INTERVAL);
+  }
+
+  return { total, tweets: Array.from(collected.values()) };
+};
+
+module.exports = {
+  installTimelineCollector,
+  startTimelineCollector,
+  drainTimelineCollector,
+  parseMetricCount,
+  parseDurationLabel,
+  toVideoDetails,
+};
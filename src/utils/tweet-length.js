@@ -0,0 +1,98 @@
+// X's character counting (twitter-text v3): code points in these ranges
+// weigh 1, everything else (CJK, most symbols) weighs 2, every emoji
+// sequence weighs 2 and every URL 23, against a limit of 280
+const SINGLE_WEIGHT_RANGES = [
+  [0x0000, 0x10ff],
+  [0x2000, 0x200d],
+  [0x2010, 0x201f],
+  [0x2032, 0x2037],
+];
+const URL_LENGTH = 23;
+const MAX_TWEET_LENGTH = 280;
+
+// Links with a scheme, and bare domains on common TLDs, which X also links
+const URL_PATTERN =
+  /\bhttps?:\/\/[^\s]+|\b(?:[a-z0-9-]+\.)+(?:com|org|net|io|ai|dev|co|app|gg|me|so|sh|xyz|edu|gov|info|tech|ly|tv)(?:\/[^\s]*)?/gi;
+const TRAILING_PUNCTUATION = /[.,:;!?'")\]]+$/;
+const EMOJI = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+const segmenter = new Intl.Segmenter("en", { granularity: "grapheme" });
+
+const codePointWeight = (codePoint) =>
+  SINGLE_WEIGHT_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end) ? 1 : 2;
+
+const textWeight = (text) => {
+  let weight = 0;
+  for (const { segment } of segmenter.segment(text)) {
+    const codePoint = segment.codePointAt(0);
+    // © and ® without an emoji variation selector are plain text
+    if (EMOJI.test(segment) && (codePoint > 0xff || segment.includes("\uFE0F"))) {
+      weight += 2;
+      continue;
+    }
+    for (const char of segment) weight += codePointWeight(char.codePointAt(0));
+  }
+  return weight;
+};
+
+/**
+ * Returns the URLs X will link in a text, without trailing punctuation,
+ * with their offsets.
+ * @returns {{url: string, index: number}[]}
+ */
+const findUrls = (text) =>
+  Array.from(String(text || "").matchAll(URL_PATTERN), (match) => ({
+    url: match[0].replace(TRAILING_PUNCTUATION, ""),
+    index: match.index,
+  }));
+
+/**
+ * Length of a post as X counts it: text is NFC-normalized, URLs count as
+ * 23, emoji and CJK characters as 2.
+ */
+const getWeightedLength = (text) => {
+  const normalized = String(text || "").normalize("NFC");
+  let length = 0;
+  let offset = 0;
+  for (const { url, index } of findUrls(normalized)) {
+    length += textWeight(normalized.slice(offset, index)) + URL_LENGTH;
+    offset = index + url.length;
+  }
+  return length + textWeight(normalized.slice(offset));
+};
+
+const fitsInTweet = (text, maxLength = MAX_TWEET_LENGTH) => getWeightedLength(text) <= maxLength;
+
+/**
+ * Shortens a text to at most `maxLength` weighted characters, at a word
+ * boundary where possible and ending in "…". URLs are never cut in half.
+ */
+const trimToWeightedLength = (text, maxLength) => {
+  const normalized = String(text || "").normalize("NFC").trim();
+  if (getWeightedLength(normalized) <= maxLength) return normalized;
+
+  const words = normalized.split(/(\s+)/);
+  while (words.length > 0) {
+    words.pop();
+    const candidate = `${words.join("").trimEnd().replace(/[\s.,:;!?-]+$/, "")}…`;
+    if (words.join("").trim() && getWeightedLength(candidate) <= maxLength) return candidate;
+  }
+
+  // A single overlong word: cut by grapheme, up to the first URL
+  const firstUrl = findUrls(normalized)[0];
+  let trimmed = "";
+  for (const { segment } of segmenter.segment(firstUrl ? normalized.slice(0, firstUrl.index) : normalized)) {
+    if (getWeightedLength(`${trimmed}${segment}…`) > maxLength) break;
+    trimmed += segment;
+  }
+  return trimmed ? `${trimmed}…` : "";
+};
+
+module.exports = {
+  MAX_TWEET_LENGTH,
+  URL_LENGTH,
+  findUrls,
+  getWeightedLength,
+  fitsInTweet,
+  trimToWeightedLength,
+};
@@ -0,0 +1,114 @@
+const dns = require("dns");
+const net = require("net");
+
+// Hosts that never leave the machine or the local network
+const LOCAL_HOSTNAME = /(^|\.)(localhost|local|internal|home\.arpa)$/i;
+
+// Loopback, private (RFC 1918), carrier-grade NAT, link-local, benchmarking,
+// multicast and reserved IPv4 ranges as [first octets, prefix length]
+const PRIVATE_IPV4_RANGES = [
+  [[0], 8],
+  [[10], 8],
+  [[100, 64], 10],
+  [[127], 8],
+  [[169, 254], 16],
+  [[172, 16], 12],
+  [[192, 0, 0], 24],
+  [[192, 168], 16],
+  [[198, 18], 15],
+  [[224], 4],
+  [[240], 4],
+];
+
+const ipv4ToNumber = (address) =>
+  address.split(".").reduce((value, octet) => value * 256 + Number(octet), 0);
+
+const isPrivateIpv4 = (address) => {
+  const value = ipv4ToNumber(address);
+  return PRIVATE_IPV4_RANGES.some(([octets, prefix]) => {
+    const start = ipv4ToNumber([...octets, 0, 0, 0].slice(0, 4).join("."));
+    const size = 2 ** (32 - prefix);
+    return value >= start && value < start + size;
+  });
+};
+
+const isPrivateIpv6 = (address) => {
+  const lower = address.toLowerCase();
+  // IPv4-mapped addresses reach the IPv4 host; URLs write them in hex
+  const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateIpv4(mapped[1]);
+  const mappedHex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const [high, low] = mappedHex.slice(1).map((part) => parseInt(part, 16));
+    return isPrivateIpv4([high >> 8, high & 255, low >> 8, low & 255].join("."));
+  }
+  if (lower === "::" || lower === "::1") return true;
+  // Unique local (fc00::/7), link-local (fe80::/10) and multicast (ff00::/8)
+  return /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || /^ff/.test(lower);
+};
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * on the public internet.
+ */
+const isPrivateAddress = (address) => {
+  const version = net.isIP(address);
+  if (version === 4) return isPrivateIpv4(address);
+  if (version === 6) return isPrivateIpv6(address);
+  return false;
+};
+
+const refuse = (url, reason) => new Error(`Refusing to fetch ${url}: ${reason}`);
+
+/**
+ * Rejects URLs that point into the local machine or network, for fetches of
+ * URLs taken from scraped content. IP literals are checked directly and host
+ * names by resolving them.
+ * @param {string} url - Absolute URL about to be requested.
+ * @param {Object} [options]
+ * @param {Function} [options.lookup] - dns.promises.lookup-compatible resolver.
+ * @throws {Error} When the URL is not http(s) or resolves to a private address.
+ */
+const assertPublicUrl = async (url, { lookup = dns.promises.lookup } = {}) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw refuse(url, "not an absolute URL");
+  }
+  if (!/^https?:$/.test(parsed.protocol)) throw refuse(url, `unsupported protocol ${parsed.protocol}`);
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host)) {
+    if (isPrivateAddress(host)) throw refuse(url, "private or loopback address");
+    return;
+  }
+  if (LOCAL_HOSTNAME.test(host)) throw refuse(url, "local host name");
+
+  const addresses = await lookup(host, { all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw refuse(url, `${host} resolves to a private or loopback address`);
+  }
+};
+
+/**
+ * dns.lookup replacement for HTTP clients (axios `lookup`) that fails for
+ * private addresses, so a host cannot switch to one between the check in
+ * assertPublicUrl() and the connection.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some((entry) => isPrivateAddress(entry.address))) {
+      return callback(refuse(hostname, "private or loopback address"));
+    }
+    return callback(null, address, family);
+  });
+};
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicUrl,
+  publicLookup,
+};
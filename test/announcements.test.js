@@ -0,0 +1,120 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+const geminiService = require("../src/services/gemini");
+const TwitterService = require("../src/services/twitter");
+const announcements = require("../src/services/announcements");
+const { composeAnnouncement, getArticleTitles } = require("../src/services/announcement-composer");
+
+const MARKDOWN = [
+  "### 🤖 Observability, Evaluation, and RAG Implementation",
+  "Tracing every retrieval step.",
+  "### 🚀 Tools - A very long subtitle that goes on well past the sixty-five characters a slide fits",
+  "### ⭐️ Support",
+].join("\n");
+
+const tempDir = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "announcements-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+// Stand-in for the compose dialog: a textarea per post, an add button that
+// adds the next one, and a file input
+const createComposeDriver = () => {
+  const typed = [];
+  const uploads = [];
+  let textareas = 1;
+  const element = (actions) => ({
+    isDisplayed: async () => true,
+    isEnabled: async () => true,
+    ...actions,
+  });
+  const lookup = (selector) => {
+    const index = selector.match(/tweetTextarea_(\d+)/)?.[1];
+    if (index !== undefined) {
+      return Number(index) < textareas ? element({ sendKeys: async (text) => typed.push([Number(index), text]) }) : null;
+    }
+    if (selector.includes("addButton")) return element({ click: async () => textareas++ });
+    if (selector.includes("fileInput")) return element({ sendKeys: async (file) => uploads.push(file) });
+    if (selector.includes("attachments")) return element({});
+    return null;
+  };
+  const driver = {
+    get: async () => {},
+    findElements: async (by) => [lookup(by.value)].filter(Boolean),
+    // Conditions are either functions of the driver or selenium Conditions
+    wait: async (condition) => (typeof condition === "function" ? condition(driver) : condition.fn(driver)),
+  };
+  return { driver, typed, uploads };
+};
+
+test("getArticleTitles lists article headers without emoji or the Support section", () => {
+  assert.deepEqual(getArticleTitles(MARKDOWN), [
+    "Observability, Evaluation, and RAG Implementation",
+    "Tools - A very long subtitle that goes on well past the sixty-fi…",
+  ]);
+  assert.deepEqual(getArticleTitles(""), []);
+});
+
+test("composeAnnouncement adds the account's reply templates as thread posts", async (t) => {
+  const { generateAnnouncementSummaries } = geminiService;
+  const account = config.announcements.accounts.default;
+  const { replies } = account;
+  geminiService.generateAnnouncementSummaries = async () => ({ summaries: ["Tracing and RAG evaluation tools."], hashtags: [] });
+  account.replies = ["Every link for {topic} is in the file: {url}", ""];
+  t.after(() => {
+    geminiService.generateAnnouncementSummaries = generateAnnouncementSummaries;
+    account.replies = replies;
+  });
+
+  const parts = await composeAnnouncement({ topic: "AI", markdown: MARKDOWN, url: "https://github.com/o/r/blob/main/AI/001.md" });
+
+  assert.equal(parts.length, 2);
+  assert.match(parts[0], /^New AI resource 📚\n\nTracing and RAG evaluation tools\./);
+  assert.equal(parts[1], "Every link for AI is in the file: https://github.com/o/r/blob/main/AI/001.md");
+});
+
+test("postTweet types each part into its own reply box and attaches the image to the first", async (t) => {
+  const image = path.join(tempDir(t), "slide.png");
+  fs.writeFileSync(image, "png");
+  const { driver, typed, uploads } = createComposeDriver();
+  const service = new TwitterService({ scrapeMode: "live" });
+  service.driver = driver;
+  service.ensureDriverConnected = async () => {};
+  service.switchToTab = async () => true;
+  service.submitCompose = async () => {};
+  service.getOwnHandle = async () => "curator";
+  let lookedFor = null;
+  service.findPostedStatus = async (handle, text) => {
+    lookedFor = [handle, text];
+    return `https://x.com/${handle}/status/1900000000000000000`;
+  };
+
+  const url = await service.postTweet(["First post", "  ", "Second post"], { image });
+
+  assert.equal(url, "https://x.com/curator/status/1900000000000000000");
+  assert.deepEqual(typed, [
+    [0, "First post"],
+    [1, "Second post"],
+  ]);
+  assert.deepEqual(uploads, [path.resolve(image)]);
+  assert.deepEqual(lookedFor, ["curator", "First post"]);
+});
+
+test("announcements are stored per folder with every post of the thread", (t) => {
+  const store = new announcements.constructor(path.join(tempDir(t), "announcements.json"));
+  store.record("AI", { url: "https://x.com/a/status/1", parts: ["One"], resourceUrl: "https://github.com/f/1" });
+  store.record("AI", { url: "https://x.com/a/status/2", parts: ["Two", "Three"], resourceUrl: "https://github.com/f/2" });
+
+  const reloaded = new announcements.constructor(store.filePath);
+  assert.deepEqual(
+    { ...reloaded.getLatest("AI"), postedAt: undefined },
+    { url: "https://x.com/a/status/2", parts: ["Two", "Three"], resourceUrl: "https://github.com/f/2", postedAt: undefined }
+  );
+  assert.equal(reloaded.getLatest("Security"), null);
+});
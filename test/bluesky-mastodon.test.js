@@ -0,0 +1,95 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../config");
+const { blueskySource } = require("../src/sources/bluesky");
+const { mastodonSource } = require("../src/sources/mastodon");
+const { readFixture, serveFixtures } = require("./helpers/fixture-server");
+
+const BLUESKY_THREADS = JSON.parse(readFixture("bluesky/threads.json"));
+const MASTODON_CONTEXTS = JSON.parse(readFixture("mastodon/contexts.json"));
+
+const collect = async (source, folder) => (await source.fetch(folder)).map((raw) => source.normalize(raw, folder));
+
+test("Bluesky threads follow the root author's own reply chain", async (t) => {
+  const server = await serveFixtures(t, config.sources.bluesky, {
+    "/app.bsky.feed.getListFeed": "bluesky/list-feed.json",
+    "/app.bsky.feed.getPostThread": (url) => ({ body: BLUESKY_THREADS[url.searchParams.get("uri")] }),
+  });
+
+  const [thread, video] = await collect(blueskySource, { name: "Test", bluesky: { lists: ["at://did:plc:alice/app.bsky.graph.list/devs"] } });
+
+  // The reply and the repost in the feed both lead to the same root
+  assert.deepEqual(
+    server.requests.filter((url) => url.pathname.endsWith("getPostThread")).map((url) => url.searchParams.get("uri")),
+    ["at://did:plc:alice/app.bsky.feed.post/3kroot", "at://did:plc:bob/app.bsky.feed.post/3kvideo"]
+  );
+
+  assert.equal(thread.id, "at://did:plc:alice/app.bsky.feed.post/3kroot");
+  assert.equal(thread.url, "https://bsky.app/profile/alice.example.com/post/3kroot");
+  assert.equal(blueskySource.dedupKey(thread), "bluesky:at://did:plc:alice/app.bsky.feed.post/3kroot");
+  // Other authors' replies are left out; of two self-replies the earlier one continues the thread
+  assert.deepEqual(
+    thread.tweets.map((tweet) => tweet.text),
+    [
+      "1/ How we run migrations without downtime: github.com/example/migrator",
+      "2/ The trick is a shadow table.",
+      "3/ Writeup: https://blog.example.com/shadow",
+    ]
+  );
+
+  const [root, , last] = thread.tweets;
+  assert.equal(root.lang, "en");
+  assert.deepEqual(root.links, ["https://github.com/example/migrator"]);
+  assert.deepEqual(root.images, ["https://cdn.bsky.app/img/feed_fullsize/plain/did:plc:alice/diagram@jpeg"]);
+  assert.equal(root.imageAlts[root.images[0]], "Shadow table diagram");
+  assert.deepEqual(last.links, ["https://blog.example.com/shadow"]);
+  assert.equal(last.conversation_id, "bluesky:at://did:plc:alice/app.bsky.feed.post/3kroot");
+
+  const [clip] = video.tweets;
+  assert.equal(clip.lang, "de");
+  assert.deepEqual(clip.videos, ["https://video.bsky.app/watch/did:plc:bob/profiler/playlist.m3u8"]);
+  assert.deepEqual(clip.images, ["https://video.bsky.app/watch/did:plc:bob/profiler/thumbnail.jpg"]);
+  assert.equal(clip.imageAlts[clip.images[0]], "Flame graph");
+});
+
+test("Mastodon threads are rebuilt from status contexts and deduplicated by root", async (t) => {
+  const server = await serveFixtures(t, config.sources.mastodon, {
+    "/api/v1/timelines/tag/rustlang": "mastodon/tag-timeline.json",
+    ...Object.fromEntries(
+      Object.entries(MASTODON_CONTEXTS).map(([id, context]) => [`/api/v1/statuses/${id}/context`, { body: context }])
+    ),
+  });
+
+  const threads = await collect(mastodonSource, { name: "Test", mastodon: { hashtags: ["#rustlang"] } });
+
+  assert.equal(server.requests[0].searchParams.get("limit"), String(config.sources.mastodon.pageSize));
+  // The reply found on the timeline yields its whole thread; the root itself adds nothing new
+  assert.deepEqual(
+    threads.map((thread) => thread.id),
+    ["https://fosstodon.example/users/ferris/statuses/100", "https://social.example/users/tokio/statuses/200"]
+  );
+
+  const [thread, boosted] = threads;
+  assert.equal(thread.url, "https://fosstodon.example/@ferris/100");
+  assert.deepEqual(
+    thread.tweets.map((tweet) => tweet.text),
+    ["Borrow checker tips, a thread #rustlang with @crab", "1. Read the Nomicon", "2. Watch the talk"]
+  );
+
+  const [root, reading, talk] = thread.tweets;
+  // Hashtag and mention anchors are not resources
+  assert.deepEqual(root.links, []);
+  assert.deepEqual(root.images, ["https://files.fosstodon.example/media/lifetimes.png"]);
+  assert.equal(root.imageAlts[root.images[0]], "Lifetime diagram");
+  assert.equal(root.author, "ferris@fosstodon.example");
+  assert.equal(root.lang, "en");
+  // The preview card repeats a link already in the text
+  assert.deepEqual(reading.links, ["https://doc.rust-lang.org/nomicon/"]);
+  assert.deepEqual(talk.videos, ["https://files.fosstodon.example/media/talk.mp4"]);
+  assert.deepEqual(talk.images, ["https://files.fosstodon.example/media/talk-preview.png"]);
+
+  // Boosts are collected as the boosted status; a content warning stands in for empty content
+  assert.equal(boosted.tweets[0].text, "Release notes inside");
+  assert.equal(boosted.tweets[0].author, "tokio@social.example");
+});
@@ -0,0 +1,34 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createScrapeFilter, applyContentRules } = require("../src/services/content-rules");
+
+const hiring = { text: "We are hiring Rust engineers, apply at https://t.co/abc", author: "acme", links: ["https://t.co/abc"] };
+const recruiting = {
+  name: "Recruiting",
+  contentRules: { tweets: [{ name: "hiring-and-self-promotion", enabled: false }] },
+};
+const papers = {
+  name: "Papers",
+  contentRules: { tweets: [{ name: "papers-only", action: "include", domains: ["arxiv.org"] }] },
+};
+
+test("scrape-time rules are the folder's own, so a folder can turn a global rule off", () => {
+  assert.equal(createScrapeFilter().findExcludingRule(hiring)?.name, "hiring-and-self-promotion");
+  assert.equal(createScrapeFilter([papers]).findExcludingRule(hiring)?.name, "hiring-and-self-promotion");
+  assert.equal(createScrapeFilter([recruiting]).findExcludingRule(hiring), null);
+});
+
+test("a shared list's tweets are only dropped when every claimant excludes them", () => {
+  assert.equal(createScrapeFilter([papers, recruiting]).findExcludingRule(hiring), null);
+  assert.equal(applyContentRules([{ url: "https://x.com/acme/status/1", tweets: [hiring] }], papers).length, 0);
+  assert.equal(applyContentRules([{ url: "https://x.com/acme/status/1", tweets: [hiring] }], recruiting).length, 1);
+});
+
+test("scrape-time link filtering drops X navigation but leaves include rules for later", () => {
+  const links = ["/acme", "https://x.com/hashtag/rust", "https://t.co/abc"];
+  assert.deepEqual(createScrapeFilter([papers]).filterLinks(links), ["https://t.co/abc"]);
+  // An include-only domain rule would drop every t.co link before it is resolved
+  const arxivLinks = { name: "ArxivLinks", contentRules: { links: [{ name: "arxiv", action: "include", domains: ["arxiv.org"] }] } };
+  assert.deepEqual(createScrapeFilter([arxivLinks]).filterLinks(links), ["https://t.co/abc"]);
+});
@@ -0,0 +1,101 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../config");
+const { hackerNewsSource } = require("../src/sources/hackernews");
+const { redditSource } = require("../src/sources/reddit");
+const { readFixture, serveFixtures } = require("./helpers/fixture-server");
+
+const HN_ITEMS = JSON.parse(readFixture("hackernews/items.json"));
+
+const hackerNewsRoutes = (url) => {
+  if (url.pathname === "/topstories.json") return "hackernews/topstories.json";
+  const id = url.pathname.match(/^\/item\/(\d+)\.json$/)?.[1];
+  return id ? { body: HN_ITEMS[id] ?? null } : null;
+};
+
+test("Hacker News fetch keeps live stories above minScore with their comment chains", async (t) => {
+  await serveFixtures(t, config.sources.hackernews, hackerNewsRoutes);
+
+  const stories = await hackerNewsSource.fetch({ name: "Test", hackernews: { minScore: 100 } });
+
+  assert.deepEqual(stories.map((story) => story.id), [41001, 41004]);
+  // The dead second comment is left out
+  assert.deepEqual(stories[0].comments.map((comment) => comment.id), [41101, 41201]);
+});
+
+test("Hacker News stories normalize into a thread of story and comments", () => {
+  const item = hackerNewsSource.normalize({ ...HN_ITEMS[41001], comments: [HN_ITEMS[41101], HN_ITEMS[41201]] });
+
+  assert.equal(item.source, "hackernews");
+  assert.equal(item.id, "41001");
+  assert.equal(item.url, "https://news.ycombinator.com/item?id=41001");
+  assert.equal(item.timestamp, "2024-05-01T10:40:00.000Z");
+  assert.equal(hackerNewsSource.dedupKey(item), "hackernews:41001");
+
+  const [root, first, reply] = item.tweets;
+  assert.equal(root.text, "Show HN: A tiny Postgres migration runner\n\n(312 points, 57 comments on Hacker News)");
+  assert.deepEqual(root.links, ["https://github.com/example/migrator"]);
+  assert.equal(first.text, "We switched last year. See our postmortem.");
+  assert.deepEqual(first.links, ["https://example.com/postmortem"]);
+  assert.equal(reply.conversation_id, "hackernews:41001");
+  assert.equal(reply.url, "https://news.ycombinator.com/item?id=41201");
+});
+
+test("Hacker News text posts keep their decoded body and links", () => {
+  const [root] = hackerNewsSource.normalize(HN_ITEMS[41004]).tweets;
+
+  assert.equal(
+    root.text,
+    "Ask HN: How do you run migrations without downtime?\n\nWe use blue/green deploys.\n\nAnything better?\n\n(150 points, 12 comments on Hacker News)"
+  );
+  assert.deepEqual(root.links, ["https://example.com/blue-green"]);
+});
+
+test("Hacker News items without a timestamp are skipped", () => {
+  assert.equal(hackerNewsSource.normalize(HN_ITEMS[41003]), null);
+
+  const { time, ...undated } = HN_ITEMS[41201];
+  const item = hackerNewsSource.normalize({ ...HN_ITEMS[41001], comments: [HN_ITEMS[41101], undated] });
+  assert.deepEqual(item.tweets.map((tweet) => tweet.id), ["hackernews:41001", "hackernews:41101"]);
+});
+
+test("Reddit fetch skips stickied and low-score posts and follows top reply chains", async (t) => {
+  const server = await serveFixtures(t, config.sources.reddit, {
+    "/r/devops/top.json": "reddit/top.json",
+    "/comments/1abcde.json": "reddit/comments-1abcde.json",
+  });
+
+  const posts = await redditSource.fetch({ name: "Test", reddit: { subreddits: ["devops"], minScore: 50 } });
+
+  assert.deepEqual(posts.map((post) => post.id), ["1abcde"]);
+  // The deleted comment and the "more" stub are left out
+  assert.deepEqual(posts[0].comments.map((comment) => comment.id), ["c1", "c2"]);
+  assert.equal(server.requests[0].searchParams.get("raw_json"), "1");
+  assert.equal(server.requests[0].searchParams.get("t"), "day");
+});
+
+test("Reddit posts normalize into a thread with the linked page and preview image", async (t) => {
+  await serveFixtures(t, config.sources.reddit, {
+    "/r/devops/top.json": "reddit/top.json",
+    "/comments/1abcde.json": "reddit/comments-1abcde.json",
+  });
+  const [post] = await redditSource.fetch({ name: "Test", reddit: { subreddits: ["devops"], minScore: 50 } });
+
+  const item = redditSource.normalize(post);
+  assert.equal(item.source, "reddit");
+  assert.equal(item.url, "https://www.reddit.com/r/devops/comments/1abcde/terraform_state_surgery/");
+  assert.equal(item.timestamp, "2024-05-01T10:40:00.000Z");
+
+  const [root, comment, reply] = item.tweets;
+  assert.equal(root.text, "Terraform state surgery without tears\n\n(420 points, 38 comments in r/devops)");
+  assert.deepEqual(root.links, ["https://blog.example.com/terraform-state"]);
+  assert.deepEqual(root.images, ["https://preview.redd.it/state.png?width=640&s=abc"]);
+  assert.deepEqual(comment.links, ["https://developer.example.com/docs/state-mv"]);
+  assert.equal(reply.author, "infra_person");
+  assert.equal(reply.conversation_id, "reddit:1abcde");
+});
+
+test("Reddit items without a timestamp are skipped", () => {
+  assert.equal(redditSource.normalize({ id: "gone", permalink: "/r/devops/comments/gone/" }), null);
+});
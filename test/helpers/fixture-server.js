@@ -0,0 +1,73 @@
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures");
+
+const readFixture = (name) => fs.readFileSync(path.join(FIXTURES_DIR, name), "utf8");
+
+const CONTENT_TYPES = {
+  ".json": "application/json",
+  ".xml": "application/xml",
+  ".html": "text/html",
+};
+
+/**
+ * Local stand-in for a remote API, for the *_BASE_URL settings. `routes`
+ * maps a path (without query string) to a fixture file name, or to a
+ * function of the request URL returning { status, body, type } or a
+ * fixture file name. `routes` may also be one such function for every
+ * path. Unknown paths answer 404.
+ * @returns {Promise<{url: string, requests: URL[], close: () => Promise<void>}>}
+ */
+const startFixtureServer = (routes) =>
+  new Promise((resolve) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, "http://127.0.0.1");
+      requests.push(url);
+
+      let route = typeof routes === "function" ? routes : routes[url.pathname];
+      if (typeof route === "function") route = route(url);
+      if (!route) {
+        res.writeHead(404, { "Content-Type": "text/plain" });
+        res.end("not found");
+        return;
+      }
+      if (typeof route === "string") {
+        route = { body: readFixture(route), type: CONTENT_TYPES[path.extname(route)] || "text/plain" };
+      }
+      res.writeHead(route.status || 200, { "Content-Type": route.type || "application/json" });
+      res.end(typeof route.body === "string" ? route.body : JSON.stringify(route.body));
+    });
+
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () =>
+          new Promise((done) => {
+            server.close(done);
+            // Node keeps client sockets alive, which would hold close() open
+            server.closeAllConnections();
+          }),
+      });
+    });
+  });
+
+/**
+ * Starts a fixture server and points `settings[key]` (a base URL in a
+ * source's or service's entry in config) at it until the test `t` ends.
+ */
+const serveFixtures = async (t, settings, routes, key = "baseUrl") => {
+  const server = await startFixtureServer(routes);
+  const original = settings[key];
+  settings[key] = server.url;
+  t.after(() => {
+    settings[key] = original;
+    return server.close();
+  });
+  return server;
+};
+
+module.exports = { FIXTURES_DIR, readFixture, startFixtureServer, serveFixtures };
@@ -0,0 +1,9 @@
+// Required first by every test file: config/index.js refuses to load without
+// these, and the pipeline logs every skipped item at debug level
+process.env.GITHUB_PAT = process.env.GITHUB_PAT || "test-token";
+process.env.GITHUB_REPONAME = process.env.GITHUB_REPONAME || "test-repo";
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || "test-key";
+
+const { logger } = require("../../src/utils/helpers");
+
+logger.silent = process.env.TEST_LOGS !== "true";
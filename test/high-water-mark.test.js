@@ -0,0 +1,96 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const TwitterService = require("../src/services/twitter");
+const listState = require("../src/services/list-state");
+const { planListScrapes } = require("../src/services/list-planner");
+
+// Keeps list-state.json out of the working directory
+const useMemoryListState = (t) => {
+  const { state, save } = listState;
+  listState.state = { cursors: {}, highWaterMarks: {} };
+  listState.save = () => {};
+  t.after(() => {
+    listState.state = state;
+    listState.save = save;
+  });
+};
+
+// Records a scrape of `listId` as findContent leaves it in lastScrape
+const scrape = (service, listId, { newest, reached = true }) => {
+  service.lastScrape = {
+    newest: { tweetId: newest, timestamp: "2026-10-19T09:00:00.000Z" },
+    oldest: "2026-10-19T00:00:00.000Z",
+    reachedHighWaterMark: reached,
+  };
+  service.trackHighWaterMark(listId, listState.getHighWaterMark(listId));
+};
+
+const setup = (t, folders) => {
+  useMemoryListState(t);
+  const service = new TwitterService({ scrapeMode: "live" });
+  service.beginRun(planListScrapes(folders));
+  for (const folder of folders) service.runFolderLists.set(folder.name, folder.lists);
+  return service;
+};
+
+test("the mark moves to the newest tweet seen, whatever ranking kept", (t) => {
+  const service = setup(t, [{ name: "AI", lists: ["1"] }]);
+  listState.setHighWaterMark("1", { tweetId: "100", timestamp: "" });
+
+  scrape(service, "1", { newest: "105" });
+  service.commitHighWaterMarks("AI");
+
+  assert.equal(listState.getHighWaterMark("1").tweetId, "105");
+  assert.equal(service.getFolderWindow("AI").sincePreviousRun, true);
+});
+
+test("the mark also moves when scrolling stopped before reaching it", (t) => {
+  const service = setup(t, [{ name: "AI", lists: ["1"] }]);
+  listState.setHighWaterMark("1", { tweetId: "100", timestamp: "2026-10-18T00:00:00.000Z" });
+
+  scrape(service, "1", { newest: "150", reached: false });
+  service.commitHighWaterMarks("AI");
+
+  assert.equal(listState.getHighWaterMark("1").tweetId, "150");
+  // The file says its window does not reach back to the previous run
+  assert.deepEqual(service.getFolderWindow("AI"), {
+    since: "2026-10-19T00:00:00.000Z",
+    until: "2026-10-19T09:00:00.000Z",
+    sincePreviousRun: false,
+  });
+});
+
+test("the mark never moves back", (t) => {
+  const service = setup(t, [{ name: "AI", lists: ["1"] }]);
+  listState.setHighWaterMark("1", { tweetId: "200", timestamp: "" });
+
+  scrape(service, "1", { newest: "150" });
+  service.commitHighWaterMarks("AI");
+
+  assert.equal(listState.getHighWaterMark("1").tweetId, "200");
+});
+
+test("the mark stays until the folder publishes", (t) => {
+  const service = setup(t, [{ name: "AI", lists: ["1"] }]);
+
+  scrape(service, "1", { newest: "210", reached: false });
+  assert.equal(listState.getHighWaterMark("1"), null);
+
+  service.commitHighWaterMarks("AI");
+  assert.equal(listState.getHighWaterMark("1").tweetId, "210");
+});
+
+test("a shared list's mark waits for every folder scraping it", (t) => {
+  const service = setup(t, [
+    { name: "AI", lists: ["shared"] },
+    { name: "Security", lists: ["shared"] },
+  ]);
+
+  scrape(service, "shared", { newest: "301" });
+  service.commitHighWaterMarks("AI");
+  assert.equal(listState.getHighWaterMark("shared"), null);
+
+  service.commitHighWaterMarks("Security");
+  assert.equal(listState.getHighWaterMark("shared").tweetId, "301");
+});
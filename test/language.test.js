@@ -0,0 +1,151 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../config");
+const geminiService = require("../src/services/gemini");
+const { detectLanguage, getThreadLanguage } = require("../src/utils/language");
+const { getLanguageAction, applyLanguagePolicy } = require("../src/services/language-policy");
+
+const post = (text, lang = "", quoted = null) => ({ text, lang, quoted });
+const threadOf = (...tweets) => ({ url: "https://x.com/a/status/1", tweets });
+
+test("detectLanguage recognises scripts and Latin-script stopwords", () => {
+  const cases = [
+    // Scripts
+    ["新しいモデルの推論速度がかなり改善されました。ベンチマーク結果を共有します", "ja"],
+    ["我们发布了新的开源模型，推理速度比上一版本快了两倍，欢迎大家试用", "zh"],
+    ["새로운 오픈소스 모델을 공개했습니다 추론 속도가 두 배 빨라졌어요", "ko"],
+    ["Мы выпустили новую открытую модель, она работает в два раза быстрее", "ru"],
+    ["Ми випустили нову відкриту модель, вона працює вдвічі швидше і краще", "uk"],
+    ["أطلقنا نموذجا مفتوح المصدر جديدا وهو أسرع بمرتين من الإصدار السابق", "ar"],
+    ["ما یک مدل متن باز جدید منتشر کردیم که دو برابر سریع‌تر و بهتر است پس گزارش", "fa"],
+    ["פרסמנו מודל קוד פתוח חדש והוא מהיר פי שניים מהגרסה הקודמת", "he"],
+    ["हमने एक नया ओपन सोर्स मॉडल जारी किया है जो पिछले संस्करण से दोगुना तेज़ है", "hi"],
+    ["เราเปิดตัวโมเดลโอเพนซอร์สใหม่ที่เร็วกว่าเวอร์ชันก่อนหน้าสองเท่า", "th"],
+    ["Κυκλοφορήσαμε ένα νέο μοντέλο ανοιχτού κώδικα που είναι δύο φορές ταχύτερο", "el"],
+    // Stopwords
+    ["This is the release of our new model and it is faster than the old one", "en"],
+    ["Este es el nuevo modelo que publicamos y es más rápido que la versión anterior", "es"],
+    ["Nous avons publié le nouveau modèle et il est plus rapide que la version précédente", "fr"],
+    ["Das ist das neue Modell und es ist nicht nur schneller, sondern auch kleiner", "de"],
+    ["Este é o novo modelo que lançamos e ele é mais rápido do que a versão anterior", "pt"],
+    // Links, mentions and hashtags do not count
+    ["Das ist neu https://example.com/the-best-of-the-web @the_and_is #TheAndIs und nicht alt", "de"],
+    // Too short, or no stopwords to tell languages apart
+    ["Nice work!", null],
+    ["Transformers benchmark quantization inference throughput latency", null],
+    ["", null],
+  ];
+  for (const [text, expected] of cases) {
+    assert.equal(detectLanguage(text), expected, text);
+  }
+});
+
+test("getThreadLanguage prefers source tags and falls back to the text", () => {
+  const cases = [
+    [
+      "the longest tagged text wins",
+      threadOf(post("Kurz", "de"), post("A much longer English follow-up with the details of the release", "en")),
+      { code: "en", detectedBy: "source" },
+    ],
+    ["regional tags are reduced to the language", threadOf(post("Olá", "pt-BR")), { code: "pt", detectedBy: "source" }],
+    [
+      "pseudo-codes fall back to detection",
+      threadOf(post("Este es el nuevo modelo que publicamos y es más rápido que la versión anterior", "und")),
+      { code: "es", detectedBy: "text" },
+    ],
+    [
+      "quoted tweets do not decide the thread's language",
+      threadOf(
+        post(
+          "This is the paper we were waiting for and it is worth a read",
+          "",
+          post("新しいモデルの推論速度がかなり改善されました。ベンチマーク結果を共有します", "ja")
+        )
+      ),
+      { code: "en", detectedBy: "text" },
+    ],
+    ["undetectable text", threadOf(post("🚀🚀🚀 https://example.com")), null],
+  ];
+  for (const [name, thread, expected] of cases) {
+    assert.deepEqual(getThreadLanguage(thread), expected, name);
+  }
+});
+
+test("getLanguageAction applies folder policy before the global one", (t) => {
+  const { policy } = config.languages;
+  config.languages.policy = { default: "keep", ru: "drop" };
+  t.after(() => {
+    config.languages.policy = policy;
+  });
+
+  const cases = [
+    ["en", { languagePolicy: { default: "drop" } }, "keep"],
+    [null, { languagePolicy: { default: "drop" } }, "keep"],
+    ["ja", { languagePolicy: { ja: "translate", default: "drop" } }, "translate"],
+    ["ko", { languagePolicy: { ja: "translate", default: "drop" } }, "drop"],
+    ["ru", {}, "drop"],
+    ["ru", { languagePolicy: { ru: "keep" } }, "keep"],
+    ["fr", {}, "keep"],
+    ["fr", { name: "Typo", languagePolicy: { fr: "transalte" } }, "keep"],
+  ];
+  for (const [code, folder, expected] of cases) {
+    assert.equal(getLanguageAction(code, folder), expected, `${code} with ${JSON.stringify(folder)}`);
+  }
+});
+
+test("applyLanguagePolicy keeps, drops and translates threads by language", async () => {
+  const folder = { name: "AI", languagePolicy: { ja: "translate", ru: "drop", default: "keep" } };
+  const translated = [];
+  const translator = {
+    async translateTweets(tweets, source, target) {
+      translated.push([tweets[0].text, source, target]);
+      return tweets.map((tweet) => ({ ...tweet, text: `[${target}] ${tweet.text}`, originalText: tweet.text }));
+    },
+  };
+
+  const kept = await applyLanguagePolicy(
+    [
+      threadOf(post("Release notes", "en")),
+      threadOf(post("Новая модель", "ru")),
+      threadOf(post("新しいモデル", "ja")),
+      threadOf(post("Nouveau modèle", "fr")),
+    ],
+    folder,
+    { translator }
+  );
+
+  assert.deepEqual(
+    kept.map((thread) => [thread.tweets[0].text, thread.language]),
+    [
+      ["Release notes", { code: "en", detectedBy: "source", translated: false }],
+      ["[en] 新しいモデル", { code: "ja", detectedBy: "source", translated: true }],
+      ["Nouveau modèle", { code: "fr", detectedBy: "source", translated: false }],
+    ]
+  );
+  assert.deepEqual(translated, [["新しいモデル", "ja", "en"]]);
+});
+
+test("translateTweets translates quoted tweets from their own language", async (t) => {
+  geminiService.beginRun();
+  t.after(() => geminiService.beginRun());
+  // Cached translations keep Gemini out of the test
+  const cached = {
+    "Este es el nuevo modelo": "This is the new model",
+    "新しいモデルです": "It is a new model",
+  };
+  for (const [text, translation] of Object.entries(cached)) geminiService.translations.set(`en\n${text}`, translation);
+
+  const cases = [
+    ["an untagged quote already in English", post("This is the paper we were waiting for and it is worth a read"), null],
+    ["a quote tagged with another language", post("新しいモデルです", "ja"), "ja"],
+  ];
+  for (const [name, quoted, expectedFrom] of cases) {
+    const [tweet] = await geminiService.translateTweets([post("Este es el nuevo modelo", "es", quoted)], "es", "en");
+
+    assert.equal(tweet.text, "This is the new model", name);
+    assert.equal(tweet.translatedFrom, "es", name);
+    assert.equal(tweet.quoted.translatedFrom, expectedFrom ?? undefined, name);
+    assert.equal(tweet.quoted.text, cached[quoted.text] ?? quoted.text, name);
+  }
+});
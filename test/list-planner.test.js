@@ -0,0 +1,42 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { planListScrapes, routeThread } = require("../src/services/list-planner");
+
+const FOLDERS = [
+  { name: "AI", lists: ["shared", "ai-only"] },
+  { name: "Security", lists: ["shared", "rotating"], listMode: "rotate", priority: 2 },
+  { name: "Papers", sources: ["rss"], lists: ["shared"], feeds: [] },
+  { name: "Mixed", sources: ["rss", "x"], lists: ["shared"] },
+];
+
+// Security's rotation is on "rotating" this run
+const getListsForRun = (folder) => (folder.name === "Security" ? ["rotating"] : folder.lists);
+
+test("only folders that scrape a list this run claim it", () => {
+  const plan = planListScrapes(FOLDERS, { getListsForRun, routing: "balanced" });
+
+  assert.deepEqual(plan.claimants.get("shared"), ["AI", "Mixed"]);
+  assert.deepEqual(plan.claimants.get("rotating"), ["Security"]);
+  assert.deepEqual(plan.claimants.get("ai-only"), ["AI"]);
+  assert.equal(plan.folderLists.has("Papers"), false);
+  assert.deepEqual(plan.folderLists.get("Security"), ["rotating"]);
+});
+
+test("shared list threads are routed among the claimants only", () => {
+  const plan = planListScrapes(FOLDERS, { getListsForRun, routing: "balanced" });
+  const claimants = plan.claimants.get("shared");
+
+  const routed = new Set();
+  for (let id = 1; id <= 50; id++) routed.add(routeThread(`18000000000000000${id + 10}`, claimants, plan));
+  assert.deepEqual([...routed].sort(), ["AI", "Mixed"]);
+  // The same thread always lands in the same folder
+  assert.equal(routeThread("1800000000000000001", claimants, plan), routeThread("1800000000000000001", claimants, plan));
+});
+
+test("priority routing sends a shared list's threads to the highest-priority claimant", () => {
+  const plan = planListScrapes(FOLDERS, { getListsForRun: (folder) => folder.lists, routing: "priority" });
+
+  assert.deepEqual(plan.claimants.get("shared"), ["AI", "Security", "Mixed"]);
+  assert.equal(routeThread("1800000000000000001", plan.claimants.get("shared"), plan), "Security");
+});
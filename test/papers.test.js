@@ -0,0 +1,121 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+const { PaperEnricher, parsePaperLink, formatCitation } = require("../src/services/paper-enricher");
+const { serveFixtures } = require("./helpers/fixture-server");
+
+const CROSSREF_DOI = "10.1145/3368089.3409740";
+
+// An enricher with its own cache file, removed when the test ends
+const createEnricher = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "paper-cache-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new PaperEnricher({ cachePath: path.join(dir, "paper-cache.json") });
+};
+
+const threadLinking = (...links) => [{ tweets: [{ id: "1", text: "Reading list", links }] }];
+
+test("paper links are recognised from arXiv, mirror and DOI URLs", () => {
+  const cases = [
+    ["https://arxiv.org/abs/1706.03762v7", { type: "arxiv", id: "1706.03762" }],
+    ["https://arxiv.org/pdf/2401.00001.pdf", { type: "arxiv", id: "2401.00001" }],
+    ["https://export.arxiv.org/abs/hep-th/9901001", { type: "arxiv", id: "hep-th/9901001" }],
+    ["https://www.alphaxiv.org/abs/2401.00001", { type: "arxiv", id: "2401.00001" }],
+    ["https://huggingface.co/papers/2401.00001", { type: "arxiv", id: "2401.00001" }],
+    ["https://doi.org/10.1145/3368089.3409740", { type: "doi", id: CROSSREF_DOI }],
+    ["https://dl.acm.org/doi/pdf/10.1145/3368089.3409740", { type: "doi", id: CROSSREF_DOI }],
+    ["https://arxiv.org/list/cs.CL/recent", null],
+    ["https://example.com/10.1145/3368089.3409740", null],
+    ["not a url", null],
+    ["https://arxiv.org/abs/%E0", null],
+  ];
+  for (const [url, expected] of cases) {
+    const parsed = parsePaperLink(url);
+    assert.deepEqual(parsed && { type: parsed.type, id: parsed.id }, expected, url);
+  }
+});
+
+test("arXiv feeds are parsed into paper metadata and unknown IDs are skipped", async (t) => {
+  const server = await serveFixtures(t, config.papers, { "/query": "papers/arxiv-query.xml" }, "arxivBaseUrl");
+  const enricher = createEnricher(t);
+
+  const [thread] = await enricher.enrichThreads(
+    threadLinking(
+      "https://arxiv.org/abs/1706.03762v7",
+      "https://huggingface.co/papers/2401.00001",
+      "https://arxiv.org/abs/9999.99999",
+      "https://example.com/post"
+    )
+  );
+
+  // One batched request for every linked arXiv ID
+  assert.equal(server.requests.length, 1);
+  assert.equal(server.requests[0].searchParams.get("id_list"), "1706.03762,2401.00001,9999.99999");
+
+  const [attention, note, unknown, other] = thread.tweets[0].linkDetails;
+  assert.deepEqual(attention.paper, {
+    source: "arxiv",
+    id: "1706.03762",
+    url: "https://arxiv.org/abs/1706.03762",
+    title: "Attention Is All You Need",
+    authors: ["Ashish Vaswani", "Noam Shazeer", "Niki Parmar", "Jakob Uszkoreit"],
+    abstract: "The dominant sequence transduction models are based on complex recurrent or convolutional neural networks.",
+    published: "2017-06-12",
+    // The primary category comes first
+    categories: ["cs.CL", "cs.LG"],
+    venue: "",
+    doi: "",
+  });
+  assert.equal(note.paper.doi, "10.1000/example.2024");
+  assert.equal(unknown.paper, undefined);
+  assert.deepEqual(other, { url: "https://example.com/post" });
+
+  assert.equal(
+    formatCitation(attention.paper),
+    'Vaswani, Shazeer, Parmar et al. (2017). "Attention Is All You Need". arXiv:1706.03762 [cs.CL]. https://arxiv.org/abs/1706.03762'
+  );
+});
+
+test("Crossref works are parsed into paper metadata and cached", async (t) => {
+  const server = await serveFixtures(
+    t,
+    config.papers,
+    { [`/works/${encodeURIComponent(CROSSREF_DOI)}`]: "papers/crossref-work.json" },
+    "crossrefBaseUrl"
+  );
+  const enricher = createEnricher(t);
+  const threads = threadLinking(`https://doi.org/${CROSSREF_DOI}`, "https://doi.org/10.9999/missing");
+
+  const [thread] = await enricher.enrichThreads(threads);
+  const [work, missing] = thread.tweets[0].linkDetails;
+  assert.deepEqual(work.paper, {
+    source: "doi",
+    id: CROSSREF_DOI,
+    url: `https://doi.org/${CROSSREF_DOI}`,
+    title: "Fuzzing: On the Exponential Cost of Vulnerability Discovery",
+    authors: ["Marcel Böhme", "Brandon Falk", "Example Consortium"],
+    abstract: "We present counterintuitive results for the scalability of fuzzing & discovery.",
+    published: "2020-11-08",
+    categories: ["Software"],
+    venue: "Proceedings of the 28th ACM Joint Meeting on ESEC/FSE",
+    doi: CROSSREF_DOI,
+  });
+  // A 404 from Crossref leaves the link without metadata
+  assert.equal(missing.paper, undefined);
+  assert.equal(
+    formatCitation(work.paper),
+    `Böhme, Falk, Consortium (2020). "Fuzzing: On the Exponential Cost of Vulnerability Discovery". ` +
+      `Proceedings of the 28th ACM Joint Meeting on ESEC/FSE. doi:${CROSSREF_DOI}. https://doi.org/${CROSSREF_DOI}`
+  );
+
+  // Found papers are served from the cache file on the next run
+  const requests = server.requests.length;
+  const [again] = await new PaperEnricher({ cachePath: enricher.filePath }).enrichThreads(threads);
+  assert.equal(again.tweets[0].linkDetails[0].paper.title, work.paper.title);
+  assert.equal(server.requests.length, requests + 1);
+  assert.equal(server.requests.at(-1).pathname, "/works/10.9999%2Fmissing");
+});
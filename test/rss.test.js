@@ -0,0 +1,75 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { rssSource, parseFeed } = require("../src/sources/rss");
+const { decodeEntities } = require("../src/sources/html");
+const { readFixture, startFixtureServer } = require("./helpers/fixture-server");
+
+const normalizeFeed = (name, feedUrl = `https://feeds.example.com/${name}`) =>
+  parseFeed(readFixture(`rss/${name}`), feedUrl).map((entry) => rssSource.normalize(entry));
+
+test("RSS 2.0 items keep their guid, full content, author and images", () => {
+  const [item, , undated] = normalizeFeed("rss2.xml");
+
+  assert.equal(item.id, "post-1842");
+  assert.equal(item.url, "https://blog.example.com/posts/migrations");
+  const [post] = item.tweets;
+  assert.equal(post.id, "rss:post-1842");
+  assert.equal(post.author, "Ada Lovelace");
+  assert.match(post.text, /^Shipping zero-downtime migrations & rollbacks\n\nWe moved to migrator/);
+  assert.match(post.text, /\n\nSource: Example Engineering Blog$/);
+  assert.deepEqual(post.links, ["https://blog.example.com/posts/migrations", "https://github.com/example/migrator"]);
+  assert.deepEqual(post.images, ["https://cdn.example.com/cover.jpg", "https://cdn.example.com/diagram.png"]);
+
+  // A permalink guid doubles as the link; escaped HTML descriptions are stripped
+  assert.equal(undated.url, "https://blog.example.com/posts/undated");
+  assert.equal(undated.timestamp, "");
+  assert.match(undated.tweets[0].text, /\n\nEntries without a date are kept\./);
+});
+
+test("Atom entries use the alternate link and convert dates to UTC", () => {
+  const [release, older] = normalizeFeed("atom.xml");
+
+  assert.equal(release.id, "tag:releases.example.org,2024:7");
+  assert.equal(release.url, "https://releases.example.org/v2.0");
+  assert.equal(release.timestamp, "2024-05-01T10:00:00.000Z");
+  assert.equal(release.tweets[0].author, "Release Bot");
+  assert.match(release.tweets[0].text, /^v2\.0 released\n\nSee the changelog\.\n\nSource: Release Notes$/);
+  assert.deepEqual(release.tweets[0].links, ["https://releases.example.org/v2.0", "https://releases.example.org/changelog"]);
+
+  // Without published, updated dates the entry; without an author, the feed title stands in
+  assert.equal(older.url, "https://releases.example.org/v1.9");
+  assert.equal(older.timestamp, "2024-04-01T08:00:00.000Z");
+  assert.equal(older.tweets[0].author, "Release Notes");
+});
+
+test("RSS 1.0 (RDF) items read Dublin Core dates and creators", () => {
+  const [issue] = normalizeFeed("rdf.xml");
+
+  assert.equal(issue.url, "https://papers.example.net/issue/12");
+  assert.equal(issue.timestamp, "2024-03-10T06:00:00.000Z");
+  assert.equal(issue.tweets[0].author, "Grace Hopper");
+  assert.match(issue.tweets[0].text, /\n\nSource: Papers Weekly$/);
+});
+
+test("decodeEntities leaves character references past U+10FFFF as written", () => {
+  assert.equal(decodeEntities("&#x1F600; &#65; &amp;"), "\u{1F600} A &");
+  assert.equal(decodeEntities("a &#99999999; b &#x110000;"), "a &#99999999; b &#x110000;");
+});
+
+test("fetch drops entries older than the age window and skips failing feeds", async (t) => {
+  const server = await startFixtureServer({
+    "/blog.xml": () => ({ type: "application/rss+xml", body: readFixture("rss/rss2.xml").replace("__RECENT__", new Date().toUTCString()) }),
+  });
+  t.after(() => server.close());
+
+  const folder = { name: "Test", feeds: [`${server.url}/blog.xml`, `${server.url}/missing.xml`] };
+  const entries = await rssSource.fetch(folder);
+
+  assert.deepEqual(
+    entries.map((entry) => rssSource.normalize(entry).url),
+    ["https://blog.example.com/posts/migrations", "https://blog.example.com/posts/undated"]
+  );
+  assert.equal(entries[0].feedUrl, `${server.url}/blog.xml`);
+  assert.deepEqual(server.requests.map((url) => url.pathname), ["/blog.xml", "/missing.xml"]);
+});
@@ -0,0 +1,74 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { scoreThread, rankThreads } = require("../src/services/thread-ranking");
+
+const NOW = Date.parse("2024-06-01T12:00:00Z");
+const RANKING = {
+  weights: { replies: 2, reposts: 3, likes: 1, bookmarks: 3, views: 0.2 },
+  recencyHalfLifeHours: 24,
+};
+
+const thread = (id, hoursAgo, metrics) => ({
+  id,
+  timestamp: hoursAgo === null ? "" : new Date(NOW - hoursAgo * 60 * 60 * 1000).toISOString(),
+  tweets: [{ id, metrics }],
+});
+
+const CASES = [
+  {
+    name: "broad engagement outranks a single viral count",
+    threads: [
+      thread("viral-likes", 1, { likes: 1000000 }),
+      thread("discussed", 1, { replies: 50, reposts: 50, likes: 50, bookmarks: 20 }),
+    ],
+    expected: ["discussed", "viral-likes"],
+  },
+  {
+    name: "reposts and bookmarks weigh more than likes",
+    threads: [
+      thread("liked", 2, { likes: 40 }),
+      thread("bookmarked", 2, { bookmarks: 40 }),
+      thread("reposted", 2, { reposts: 40, views: 10 }),
+    ],
+    expected: ["reposted", "bookmarked", "liked"],
+  },
+  {
+    name: "a fresh thread beats a stronger one three half-lives old",
+    threads: [
+      thread("old-hit", 72, { likes: 1000, reposts: 100 }),
+      thread("fresh", 0, { likes: 10, reposts: 2 }),
+    ],
+    expected: ["fresh", "old-hit"],
+  },
+  {
+    name: "threads without metrics rank by recency, undated ones as one half-life old",
+    threads: [thread("undated", null, undefined), thread("day-and-a-half", 36, undefined), thread("new", 0, undefined)],
+    expected: ["new", "undated", "day-and-a-half"],
+  },
+  {
+    name: "ties keep their original order",
+    threads: [thread("first", 5, { likes: 3 }), thread("second", 5, { likes: 3 })],
+    expected: ["first", "second"],
+  },
+];
+
+for (const { name, threads, expected } of CASES) {
+  test(`rankThreads: ${name}`, () => {
+    const ranked = rankThreads(threads, RANKING, NOW);
+    assert.deepEqual(ranked.map((item) => item.id), expected);
+    assert.ok(ranked.every((item, index) => index === 0 || item.score <= ranked[index - 1].score));
+  });
+}
+
+test("scoreThread halves every recencyHalfLifeHours and log-scales counts", () => {
+  const metrics = { replies: 4, likes: 20 };
+  const fresh = scoreThread(thread("a", 0, metrics), RANKING, NOW);
+
+  assert.equal(fresh, 1 + 2 * Math.log1p(4) + Math.log1p(20));
+  assert.ok(Math.abs(scoreThread(thread("a", 24, metrics), RANKING, NOW) - fresh / 2) < 1e-9);
+  assert.ok(Math.abs(scoreThread(thread("a", 48, metrics), RANKING, NOW) - fresh / 4) < 1e-9);
+  // Ten times the likes adds a constant, it does not multiply the score
+  const tenfold = scoreThread(thread("a", 0, { ...metrics, likes: 200 }), RANKING, NOW);
+  assert.ok(tenfold - fresh < Math.log(10) + 0.1);
+});
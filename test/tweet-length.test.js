@@ -0,0 +1,116 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getWeightedLength, trimToWeightedLength, fitsInTweet } = require("../src/utils/tweet-length");
+const { fitAnnouncement } = require("../src/services/announcement-composer");
+
+const URL = "https://example.com/a/very/long/path/that/still/counts/as/23";
+
+test("getWeightedLength counts the way X does", () => {
+  const cases = [
+    ["", 0],
+    ["hello world", 11],
+    ["a".repeat(280), 280],
+    // Accents compose to one code point after NFC normalization
+    ["café", 4],
+    // Emoji sequences weigh 2 however many code points they have
+    ["😀", 2],
+    ["👍🏽", 2],
+    ["👨‍👩‍👧", 2],
+    ["🇯🇵", 2],
+    ["❤️", 2],
+    // © is plain text unless followed by the emoji variation selector
+    ["©", 1],
+    ["©️", 2],
+    // CJK and punctuation outside the single-weight ranges weigh 2
+    ["日本語", 6],
+    ["한국어", 6],
+    ["wait…", 6],
+    ["“quoted”", 8],
+    // Every URL counts as 23, without the punctuation that follows it
+    [URL, 23],
+    [`see ${URL}.`, 28],
+    [`(${URL})`, 25],
+    [`${URL}, ${URL}!`, 49],
+    ["github.com/example/repo", 23],
+    ["deno.land", 9],
+  ];
+  for (const [text, expected] of cases) {
+    assert.equal(getWeightedLength(text), expected, JSON.stringify(text));
+  }
+});
+
+test("fitsInTweet allows exactly the limit", () => {
+  assert.equal(fitsInTweet("a".repeat(280)), true);
+  assert.equal(fitsInTweet("a".repeat(281)), false);
+  assert.equal(fitsInTweet("日".repeat(140)), true);
+  assert.equal(fitsInTweet("日".repeat(141)), false);
+});
+
+test("trimToWeightedLength shortens at word boundaries and never splits URLs", () => {
+  const cases = [
+    ["short text", 20, "short text"],
+    ["exactly ten", 11, "exactly ten"],
+    ["one two three four", 10, "one two…"],
+    // Trailing punctuation goes before the ellipsis is added
+    ["first, second, third", 16, "first, second…"],
+    // A single overlong word is cut by grapheme
+    ["a".repeat(281), 280, `${"a".repeat(278)}…`],
+    ["日本語のテキスト", 9, "日本語…"],
+    ["😀😀😀😀", 7, "😀😀…"],
+    [`read ${URL} now`, 30, `read ${URL}…`],
+    [`${URL} is where it is`, 10, ""],
+  ];
+  for (const [text, maxLength, expected] of cases) {
+    const trimmed = trimToWeightedLength(text, maxLength);
+    assert.equal(trimmed, expected, `${JSON.stringify(text)} in ${maxLength}`);
+    assert.ok(getWeightedLength(trimmed) <= maxLength, `${JSON.stringify(trimmed)} fits in ${maxLength}`);
+  }
+});
+
+test("fitAnnouncement picks the first summary that fits with as many hashtags as fit", () => {
+  const template = "{summary}\n\n{url}\n\n{hashtags}";
+  const values = { topic: "Tools", url: URL };
+  const cases = [
+    {
+      name: "first summary with every hashtag",
+      summaries: ["Short summary"],
+      hashtags: ["#ai", "#ml"],
+      maxLength: 60,
+      expected: { text: `Short summary\n\n${URL}\n\n#ai #ml`, length: 47, variant: 0, hashtags: 2, trimmed: false },
+    },
+    {
+      name: "hashtags dropped from the end until it fits",
+      summaries: ["Short summary"],
+      hashtags: ["#tools", "#python"],
+      maxLength: 50,
+      expected: { text: `Short summary\n\n${URL}\n\n#tools`, length: 46, variant: 0, hashtags: 1, trimmed: false },
+    },
+    {
+      name: "a shorter summary when the first does not fit",
+      summaries: ["A summary that names far too many tools to fit", "Short summary"],
+      hashtags: [],
+      maxLength: 40,
+      expected: { text: `Short summary\n\n${URL}`, length: 38, variant: 1, hashtags: 0, trimmed: false },
+    },
+    {
+      name: "emoji count double",
+      summaries: ["🚀🚀🚀🚀🚀🚀🚀🚀", "🚀 Ship it"],
+      hashtags: [],
+      maxLength: 38,
+      expected: { text: `🚀 Ship it\n\n${URL}`, length: 35, variant: 1, hashtags: 0, trimmed: false },
+    },
+    {
+      name: "the shortest summary trimmed when none fits",
+      summaries: ["Benchmarks for seven vector databases", "Seven vector databases compared"],
+      hashtags: ["#db"],
+      maxLength: 40,
+      expected: { text: `Seven vector…\n\n${URL}`, length: 39, variant: 1, hashtags: 0, trimmed: true },
+    },
+  ];
+  for (const { name, summaries, hashtags, maxLength, expected } of cases) {
+    const result = fitAnnouncement({ template, summaries, hashtags, values, maxLength });
+    assert.deepEqual(result, expected, name);
+    assert.equal(getWeightedLength(result.text), result.length, name);
+  }
+});
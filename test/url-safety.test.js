@@ -0,0 +1,80 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { isPrivateAddress, assertPublicUrl } = require("../src/utils/url-safety");
+const { LinkEnricher } = require("../src/services/link-enricher");
+const geminiService = require("../src/services/gemini");
+const { startFixtureServer } = require("./helpers/fixture-server");
+const config = require("../config");
+
+const publicLookup = async () => [{ address: "93.184.216.34", family: 4 }];
+
+test("private, loopback and link-local addresses are recognised", () => {
+  const cases = [
+    ["127.0.0.1", true],
+    ["10.20.30.40", true],
+    ["172.16.0.1", true],
+    ["172.31.255.255", true],
+    ["172.32.0.1", false],
+    ["192.168.1.10", true],
+    ["169.254.169.254", true],
+    ["100.64.0.1", true],
+    ["0.0.0.0", true],
+    ["8.8.8.8", false],
+    ["::1", true],
+    ["fe80::1", true],
+    ["fd12:3456::1", true],
+    ["::ffff:7f00:1", true],
+    ["::ffff:8.8.8.8", false],
+    ["2606:4700:4700::1111", false],
+  ];
+  for (const [address, expected] of cases) {
+    assert.equal(isPrivateAddress(address), expected, address);
+  }
+});
+
+test("assertPublicUrl rejects local targets and accepts public ones", async () => {
+  for (const url of [
+    "http://127.0.0.1:8080/admin",
+    "http://0x7f.1/",
+    "http://[::ffff:127.0.0.1]/",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://localhost:3000/",
+    "http://printer.local/",
+    "file:///etc/passwd",
+  ]) {
+    await assert.rejects(assertPublicUrl(url, { lookup: publicLookup }), /Refusing to fetch/, url);
+  }
+
+  await assertPublicUrl("https://example.com/post", { lookup: publicLookup });
+  await assert.rejects(
+    assertPublicUrl("https://rebind.example/", { lookup: async () => [{ address: "10.0.0.5", family: 4 }] }),
+    /resolves to a private or loopback address/
+  );
+});
+
+test("link enrichment refuses redirects into the local network", async () => {
+  const requested = [];
+  const httpClient = {
+    async get(url) {
+      requested.push(url);
+      return { status: 302, headers: { location: "http://169.254.169.254/latest/meta-data/" }, data: "" };
+    },
+  };
+  const enricher = new LinkEnricher({ httpClient, settings: { ...config.linkEnrichment, enabled: true } });
+  enricher.state = new Map();
+
+  const entry = await enricher.enrichLink("https://93.184.216.34/short");
+
+  assert.equal(entry.ok, false);
+  assert.match(entry.error, /private or loopback address/);
+  assert.deepEqual(requested, ["https://93.184.216.34/short"]);
+});
+
+test("image descriptions never fetch images from local addresses", async (t) => {
+  const server = await startFixtureServer(() => ({ body: "png", type: "image/png" }));
+  t.after(() => server.close());
+
+  assert.equal(await geminiService.describeImage(`${server.url}/media/chart.png`), null);
+  assert.equal(server.requests.length, 0);
+});
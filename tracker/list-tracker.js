@@ -3,6 +3,9 @@ const chrome = require("selenium-webdriver/chrome");
 const axios = require("axios");
 const config = require("../config");
 const { logger, sleep } = require("../src/utils/helpers");
+const { findFirst, findAll, anyLocated } = require("../src/utils/selectors");
+const { PageRecorder, getReplayUrl, createReplayDriver } = require("../src/services/snapshots");
+const { toVideoDetails } = require("../src/utils/tweet-extractor");
 
 // Validate required configuration
 if (!config.monitoring.targetListId) {
@@ -16,10 +19,14 @@ const LIST_ID = config.monitoring.targetListId;
 const LIST_URL = `https://x.com/i/lists/${LIST_ID}`;
 const DISCORD_WEBHOOK_URL = config.discord.webhookUrl;
 const CHECK_INTERVAL = config.monitoring.checkInterval; // Use config system, not process.env directly
+const SCRAPE_MODE = config.twitter.scrapeMode;
 
 class TwitterListTracker {
   constructor() {
     this.driver = null;
+    // Points at the local replay server in replay mode
+    this.listUrl = LIST_URL;
+    this.ownsDriver = false;
     this.lastRequestTime = 0;
     this.isInitialized = false;
     this.processedTweetIds = new Set();
@@ -42,6 +49,18 @@ class TwitterListTracker {
 
   async init() {
     try {
+      if (SCRAPE_MODE === "replay") {
+        if (!this.driver || !this.isInitialized) {
+          this.driver = await createReplayDriver();
+          this.ownsDriver = true;
+          this.isInitialized = true;
+          this.browserStartTime = Date.now();
+          this.listUrl = await getReplayUrl(LIST_ID);
+          logger.info(`Replay mode: tracking recorded snapshot ${this.listUrl}`);
+        }
+        return;
+      }
+
       if (!this.driver || !this.isInitialized) {
         let options = new chrome.Options();
         options.options_["debuggerAddress"] = "127.0.0.1:9222";
@@ -109,12 +128,13 @@ class TwitterListTracker {
   async refreshBrowser() {
     logger.info("Refreshing browser session to prevent issues...");
     try {
-      if (this.driver) {
-        this.driver = null;
+      if (this.driver && this.ownsDriver) {
+        await this.driver.quit();
       }
     } catch (error) {
       logger.warn("Error detaching driver during refresh:", error);
     }
+    this.ownsDriver = false;
     this.isInitialized = false;
     this.driver = null;
     await sleep(5000);
@@ -187,12 +207,12 @@ class TwitterListTracker {
       let navigationSuccessful = false;
       for (let i = 0; i < 3 && !navigationSuccessful; i++) {
         try {
-          await this.driver.get(LIST_URL);
-          await this.driver.wait(until.urlContains(LIST_URL), 120000);
+          await this.driver.get(this.listUrl);
+          await this.driver.wait(until.urlContains(this.listUrl), 120000);
           navigationSuccessful = true;
         } catch (gotoError) {
           logger.error(
-            `Error navigating to ${LIST_URL} (attempt ${i + 1}): ${gotoError.message}`,
+            `Error navigating to ${this.listUrl} (attempt ${i + 1}): ${gotoError.message}`,
           );
           if (i < 2) {
             await sleep(5000);
@@ -204,7 +224,7 @@ class TwitterListTracker {
 
       if (!navigationSuccessful) {
         logger.error(
-          `Failed to navigate to ${LIST_URL} after multiple attempts.`,
+          `Failed to navigate to ${this.listUrl} after multiple attempts.`,
         );
         return [];
       }
@@ -213,14 +233,7 @@ class TwitterListTracker {
 
       // Wait for tweets to load
       try {
-        await this.driver.wait(
-          until.elementLocated(
-            By.css(
-              '[data-testid="cellInnerDiv"] > div > div > article[data-testid="tweet"]',
-            ),
-          ),
-          30000,
-        );
+        await this.driver.wait(anyLocated("timelineReady"), 30000);
       } catch (error) {
         logger.error("Initial tweet selector not found:", error);
         if (retryCount < maxRetries) {
@@ -231,9 +244,13 @@ class TwitterListTracker {
       }
 
       // Get all visible tweets
-      const allTweetElements = await this.driver.findElements(
-        By.css('article[data-testid="tweet"]'),
-      );
+      const allTweetElements = await findAll(this.driver, "tweet");
+
+      const recorder =
+        SCRAPE_MODE === "record"
+          ? new PageRecorder({ listId: LIST_ID, url: this.listUrl, source: "tracker" })
+          : null;
+      if (recorder) await recorder.capture(this.driver);
 
       const newTweets = [];
 
@@ -256,6 +273,7 @@ class TwitterListTracker {
 
           // Skip if already processed
           if (this.processedTweetIds.has(tweetId)) {
+            if (recorder) recorder.skip(tweetId);
             continue;
           }
 
@@ -280,6 +298,7 @@ class TwitterListTracker {
         }
       }
 
+      if (recorder) recorder.save(newTweets);
       return newTweets;
     } catch (error) {
       logger.error(
@@ -299,19 +318,13 @@ class TwitterListTracker {
     try {
       let quotedTweetText = "";
       try {
-        const quoteTweet = await tweetElement.findElement(
-          By.xpath('.//*[contains(@href, "/status/")]/ancestor::div[4]'),
-        );
-        quotedTweetText = await quoteTweet
-          .findElement(By.css('[data-testid="tweetText"]'))
-          .getText();
+        const quoteTweet = await findFirst(tweetElement, "quotedTweet");
+        quotedTweetText = await (await findFirst(quoteTweet, "text")).getText();
       } catch (quoteError) { }
 
       let tweetText = "";
       try {
-        tweetText = await tweetElement
-          .findElement(By.css('[data-testid="tweetText"]'))
-          .getText();
+        tweetText = await (await findFirst(tweetElement, "text")).getText();
       } catch (textError) { }
 
       if (quotedTweetText) {
@@ -320,7 +333,7 @@ class TwitterListTracker {
 
       let links = [];
       try {
-        const linkElements = await tweetElement.findElements(By.tagName("a"));
+        const linkElements = await findAll(tweetElement, "link");
         for (const linkElement of linkElements) {
           try {
             const href = await linkElement.getAttribute("href");
@@ -333,9 +346,7 @@ class TwitterListTracker {
 
       let images = [];
       try {
-        const imageElements = await tweetElement.findElements(
-          By.css('[data-testid="tweetPhoto"] img'),
-        );
+        const imageElements = await findAll(tweetElement, "photo");
         for (const img of imageElements) {
           try {
             const src = await img.getAttribute("src");
@@ -346,13 +357,17 @@ class TwitterListTracker {
         }
       } catch (imageError) { }
 
-      let videos = [];
+      // Video src is a session-only blob: URL; keep the poster and duration
+      let rawVideos = [];
       try {
-        const videoElements = await tweetElement.findElements(By.css("video"));
+        const videoElements = await findAll(tweetElement, "video");
+        let durationLabel = "";
+        try {
+          durationLabel = await (await findFirst(tweetElement, "videoPlayer")).getText();
+        } catch (e) { }
         for (const video of videoElements) {
           try {
-            const src = await video.getAttribute("src");
-            if (src) videos.push(src);
+            rawVideos.push({ poster: await video.getAttribute("poster"), durationLabel });
           } catch (e) {
             continue;
           }
@@ -361,23 +376,17 @@ class TwitterListTracker {
 
       let url = "";
       try {
-        url = await tweetElement
-          .findElement(By.xpath('.//a[contains(@href, "/status/")]'))
-          .getAttribute("href");
+        url = await (await findFirst(tweetElement, "statusLink")).getAttribute("href");
       } catch (urlError) { }
 
       let timestamp = "";
       try {
-        timestamp = await tweetElement
-          .findElement(By.tagName("time"))
-          .getAttribute("datetime");
+        timestamp = await (await findFirst(tweetElement, "time")).getAttribute("datetime");
       } catch (timeError) { }
 
       let author = "";
       try {
-        const authorElement = await tweetElement.findElement(
-          By.css('[data-testid="User-Name"] a'),
-        );
+        const authorElement = await findFirst(tweetElement, "authorLink");
         const authorHref = await authorElement.getAttribute("href");
         if (authorHref) {
           const parts = authorHref.split("/").filter(Boolean);
@@ -391,13 +400,16 @@ class TwitterListTracker {
         return null;
       }
 
+      const videoDetails = toVideoDetails(rawVideos, url);
+
       return {
         id: tweetId,
         text: tweetText,
         url: url,
         links: links,
         images: images,
-        videos: videos,
+        videos: videoDetails.length > 0 ? [url] : [],
+        videoDetails: videoDetails,
         timestamp: timestamp,
         author: author,
       };
@@ -468,8 +480,11 @@ class TwitterListTracker {
         }
       }
 
-      if (tweet.videos && tweet.videos.length > 0) {
-        embed.footer.text += ` • ${tweet.videos.length} videos`;
+      if (tweet.videoDetails && tweet.videoDetails.length > 0) {
+        if (!embed.image && tweet.videoDetails[0].poster) {
+          embed.image = { url: tweet.videoDetails[0].poster };
+        }
+        embed.footer.text += ` • ${tweet.videoDetails.length} videos`;
       }
 
       if (tweet.timestamp) {
@@ -516,6 +531,7 @@ class TwitterListTracker {
     logger.info(`Starting Twitter List Tracker`);
     logger.info(`List ID: ${LIST_ID}`);
     logger.info(`List URL: ${LIST_URL}`);
+    logger.info(`Scrape mode: ${SCRAPE_MODE}`);
     logger.info(`Check interval: ${CHECK_INTERVAL / 1000} seconds`);
     logger.info(
       `Discord webhook configured: ${DISCORD_WEBHOOK_URL ? "Yes" : "No"}`,
@@ -579,7 +595,7 @@ class TwitterListTracker {
               logger.info(`Content: ${tweet.text || "(media only)"}`);
               logger.info(`URL: ${tweet.url}`);
               logger.info(
-                `Media: ${tweet.images.length} images, ${tweet.videos.length} videos`,
+                `Media: ${tweet.images.length} images, ${tweet.videoDetails.length} videos`,
               );
 
               const shouldSendTweet = this.shouldSendTweet(tweet.text || "");
@@ -634,7 +650,10 @@ class TwitterListTracker {
 
   async cleanup() {
     try {
-      if (this.driver) {
+      if (this.driver && this.ownsDriver) {
+        logger.info("ListTracker: Closing replay browser");
+        await this.driver.quit();
+      } else if (this.driver) {
         logger.info("ListTracker: Releasing WebDriver control of debugging browser session");
         this.driver = null;
       }
@@ -643,6 +662,7 @@ class TwitterListTracker {
     } finally {
       this.cleanupScreenshots();
       this.driver = null;
+      this.ownsDriver = false;
       this.isInitialized = false;
       logger.info("Cleanup completed");
     }